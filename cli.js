@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/* ========================================================
+   Sudoku Solver — Command Line  |  cli.js
+   Batch solving, generation, validation and grading on top
+   of logic.js. Puzzles go in and come out one per line in
+   the 81-character format ('.' for blanks).
+
+     sudoku solve <puzzle>
+     sudoku generate --difficulty hard --count 100 --unique --seed book1
+     sudoku validate < puzzles.txt
+     sudoku rate < puzzles.txt
+
+   Exit status: 0 on success, 1 if any puzzle failed (no
+   solution, not unique, conflicts), 2 on bad input or usage.
+   ======================================================== */
+
+const {
+  GRID_SIZES, DIFFICULTY_GRADES, SOLVER_STRATEGIES, UNIQUENESS_NODE_BUDGET,
+  parseCells, parsePuzzles, boardToString, cloneBoard, cellName,
+  validateBoard, analyzeBoard, strategyFor, gradePuzzle, generateGradedPuzzle,
+} = require('./logic.js');
+
+const USAGE = `Usage: sudoku <command> [puzzle...] [options]
+
+Commands:
+  solve [puzzle...]      Print the solution of each puzzle
+  generate               Print new puzzles, one per line
+  validate [puzzle...]   Check each puzzle for conflicts and a unique solution
+  rate [puzzle...]       Print each puzzle's difficulty grade (needs one solution)
+
+Puzzles are 81-character strings ('.' or '0' for blanks; 16, 36, 144
+or 256 characters for other grid sizes). Without puzzle arguments they
+are read from stdin, one per line, or as a single .sdk grid.
+
+Options:
+  --strategy <name>      solve: ${Object.keys(SOLVER_STRATEGIES).join(' | ')} (default dlx)
+  --difficulty <grade>   generate: ${DIFFICULTY_GRADES.map(g => g.key).join(' | ')} (default medium)
+  --count <n>            generate: how many puzzles (default 1)
+  --size <n>             generate: grid size ${GRID_SIZES.join(', ')} (default 9)
+  --seed <text>          generate: reproduce the same puzzles every run
+  --unique               generate: one solution per puzzle (always on)
+  --solution             generate: append each solution after a tab
+  -h, --help             Show this help`;
+
+const FLAGS = ['unique', 'solution', 'help'];
+const OPTIONS = ['strategy', 'difficulty', 'count', 'size', 'seed'];
+
+/** Thrown for bad command lines and unreadable puzzles — exit status 2. */
+class UsageError extends Error {}
+
+/* ========================================================
+   Arguments & input
+   ======================================================== */
+
+/**
+ * Split argv into { command, puzzles, options }.
+ * Accepts `--name value` and `--name=value`.
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/);
+      if (FLAGS.includes(name)) {
+        options[name] = true;
+      } else if (OPTIONS.includes(name)) {
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) throw new UsageError(`--${name} needs a value.`);
+        options[name] = value;
+      } else {
+        throw new UsageError(`Unknown option --${name}.`);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  const [command, ...puzzles] = positional;
+  return { command, puzzles, options };
+}
+
+/** Positive integer option, or `fallback` when it is not given. */
+function intOption(options, name, fallback) {
+  if (options[name] === undefined) return fallback;
+  const n = Number(options[name]);
+  if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${name} must be a positive whole number.`);
+  return n;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { text += chunk; });
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+/** Boards from the puzzle arguments, or from stdin when there are none. */
+async function readPuzzles(args) {
+  try {
+    if (args.length > 0) return args.map(arg => parseCells(arg));
+    if (process.stdin.isTTY) throw new UsageError('No puzzles given — pass them as arguments or on stdin.');
+    return parsePuzzles(await readStdin());
+  } catch (err) {
+    throw err instanceof UsageError ? err : new UsageError(err.message);
+  }
+}
+
+/**
+ * analyzeBoard() with the same search budget the page uses for imported
+ * puzzles — 12x12 and 16x16 proofs can run away.
+ */
+function analyze(board) {
+  const budget = board.length > 9 ? UNIQUENESS_NODE_BUDGET * 100 : Infinity;
+  return analyzeBoard(board, null, budget);
+}
+
+/** One-line reason an analyzeBoard() result found no solution. */
+function contradictionText({ contradiction, steps, branch }) {
+  if (contradiction) {
+    return steps.length > 0
+      ? `after ${steps.length} logical steps ${contradiction.description}`
+      : contradiction.description;
+  }
+  const values = branch.options.map(o => o.value).join(' or ');
+  return `every candidate for ${cellName(branch.cell.row, branch.cell.col)} (${values}) leads to a contradiction`;
+}
+
+function conflictList(conflicts) {
+  return conflicts.map(({ row, col }) => cellName(row, col)).join(', ');
+}
+
+/** Verdict column for an analyzeBoard() result — 'valid' if it is unique. */
+function verdictText(result) {
+  if (result.verdict === 'conflict') return `conflicts at ${conflictList(result.conflicts)}`;
+  if (result.verdict === 'none') return `no solution: ${contradictionText(result)}`;
+  if (result.verdict === 'multiple') return `multiple solutions (two differ at ${conflictList(result.differences)})`;
+  if (result.verdict === 'unknown') return 'undecided (search limit reached)';
+  return 'valid';
+}
+
+/* ========================================================
+   Commands
+   Each returns true if every puzzle passed.
+   ======================================================== */
+
+const COMMANDS = {
+  async solve(args, options) {
+    const key = options.strategy || 'dlx';
+    if (!SOLVER_STRATEGIES[key]) throw new UsageError(`Unknown strategy "${key}".`);
+    const boards = await readPuzzles(args);
+
+    let ok = true;
+    boards.forEach((board, i) => {
+      const conflicts = validateBoard(board);
+      if (conflicts.length > 0) {
+        console.error(`Puzzle ${i + 1}: conflicts at ${conflictList(conflicts)}.`);
+        ok = false;
+        return;
+      }
+      const solved = cloneBoard(board);
+      const stats = strategyFor(key).solve(solved);
+      if (!stats.solved) {
+        console.error(`Puzzle ${i + 1}: no solution found.`);
+        ok = false;
+        return;
+      }
+      console.log(boardToString(solved));
+    });
+    return ok;
+  },
+
+  async generate(args, options) {
+    const difficulty = options.difficulty || 'medium';
+    if (!DIFFICULTY_GRADES.some(g => g.key === difficulty)) throw new UsageError(`Unknown difficulty "${difficulty}".`);
+    const size = intOption(options, 'size', 9);
+    if (!GRID_SIZES.includes(size)) throw new UsageError(`--size must be one of ${GRID_SIZES.join(', ')}.`);
+    const count = intOption(options, 'count', 1);
+
+    // generatePuzzle only removes a clue while the solution stays unique,
+    // so --unique needs no extra work. With --seed, puzzle i of the batch
+    // is seeded "<seed>/<i>" so any one of them can be regenerated alone.
+    for (let i = 0; i < count; i++) {
+      const seed = options.seed !== undefined ? `${options.seed}/${i + 1}` : undefined;
+      const { puzzle, solution } = generateGradedPuzzle(difficulty, undefined, undefined, 'classic', size, seed);
+      console.log(options.solution
+        ? `${boardToString(puzzle)}\t${boardToString(solution)}`
+        : boardToString(puzzle));
+    }
+    return true;
+  },
+
+  async validate(args) {
+    const boards = await readPuzzles(args);
+
+    let ok = true;
+    for (const board of boards) {
+      const result = analyze(board);
+      if (result.verdict !== 'unique') ok = false;
+      console.log(`${boardToString(board)}\t${verdictText(result)}`);
+    }
+    return ok;
+  },
+
+  async rate(args) {
+    const boards = await readPuzzles(args);
+
+    // Only puzzles with exactly one solution have a grade; the others
+    // fail with the same verdict `validate` gives them
+    let ok = true;
+    for (const board of boards) {
+      const line = boardToString(board);
+      const result = analyze(board);
+      if (result.verdict !== 'unique') {
+        console.log(`${line}\t${verdictText(result)}`);
+        ok = false;
+      } else if (board.length !== 9) {
+        console.log(`${line}\tungraded (only 9x9 puzzles are graded)`);
+      } else {
+        const grade = gradePuzzle(board);
+        console.log(`${line}\t${grade.label}\t${grade.hardestTechnique || 'no steps'}\t${grade.steps} steps`);
+      }
+    }
+    return ok;
+  },
+};
+
+/* ========================================================
+   Entry point
+   ======================================================== */
+
+async function main(argv) {
+  const { command, puzzles, options } = parseArgs(argv);
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+  return (await COMMANDS[command](puzzles, options)) ? 0 : 1;
+}
+
+main(process.argv.slice(2))
+  .then((status) => { process.exitCode = status; })
+  .catch((err) => {
+    console.error(`sudoku: ${err.message}`);
+    if (err instanceof UsageError) console.error("Run 'sudoku --help' for usage.");
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  });
@@ -0,0 +1,258 @@
+/* ========================================================
+   Sudoku Solver — Browser Tests  |  e2e/app.spec.js
+   Solve, Generate, Clear, the conflict modal, the palette
+   editor, print sheets, the touch number pad, keyboard
+   navigation and shortcuts, driven through the page like a
+   player would.
+   Board state is read back through main.js's own globals
+   (readBoard, isBoardSolved) so checks match the app's rules.
+   ======================================================== */
+
+const fs = require('node:fs');
+const { test, expect } = require('@playwright/test');
+
+const PUZZLE = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+
+const cell = (page, r, c) => page.locator(`#cell-${r}-${c}`);
+
+/** Type a puzzle string into the board cell by cell. */
+async function typePuzzle(page, puzzle) {
+  for (let i = 0; i < puzzle.length; i++) {
+    if (puzzle[i] !== '.') await cell(page, Math.floor(i / 9), i % 9).fill(puzzle[i]);
+  }
+}
+
+const boardIsSolved = page => page.evaluate(() => isBoardSolved(readBoard()));
+const filledCells = page => page.evaluate(() => readBoard().flat().filter(v => v !== 0).length);
+
+test.beforeEach(async ({ page }) => {
+  await page.goto('/'); // a fresh browser context has no saved games
+  await expect(page.locator('.sudoku-cell')).toHaveCount(81);
+});
+
+test.describe('Generate', () => {
+  test('fills the board with locked clues', async ({ page }) => {
+    await page.click('#btn-generate');
+    await expect(page.locator('#status-bar')).toContainText('puzzle generated', { timeout: 30_000 });
+
+    const givens = page.locator('.sudoku-cell.given');
+    expect(await givens.count()).toBeGreaterThanOrEqual(17);
+    expect(await givens.count()).toBe(await filledCells(page));
+    await expect(givens.first()).toHaveJSProperty('readOnly', true);
+    await expect(page.locator('#stats-bar')).toContainText('Grade');
+  });
+});
+
+test.describe('Solve', () => {
+  test('solves a typed-in puzzle without touching its digits', async ({ page }) => {
+    await typePuzzle(page, PUZZLE);
+    await page.click('#btn-solve');
+    await expect(page.locator('#status-bar')).toContainText('Puzzle solved', { timeout: 30_000 });
+
+    expect(await boardIsSolved(page)).toBe(true);
+    await expect(cell(page, 0, 0)).toHaveValue('5');
+    await expect(cell(page, 8, 8)).toHaveValue('9');
+  });
+
+  test('solves a generated puzzle and keeps its clues', async ({ page }) => {
+    await page.click('#btn-generate');
+    await expect(page.locator('#status-bar')).toContainText('puzzle generated', { timeout: 30_000 });
+    const clues = await page.evaluate(() => readGivens());
+    await page.click('#btn-solve');
+    // Everything below runs only once the worker has answered
+    await expect(page.locator('#status-bar')).toContainText('Puzzle solved', { timeout: 30_000 });
+    expect(await boardIsSolved(page)).toBe(true);
+    expect(await page.evaluate(() => readGivens())).toEqual(clues);
+    await expect(page.locator('.sudoku-cell.error')).toHaveCount(0);
+  });
+});
+
+test.describe('Clear', () => {
+  test('empties the board and can be undone', async ({ page }) => {
+    await typePuzzle(page, PUZZLE);
+    await page.click('#btn-clear');
+    expect(await filledCells(page)).toBe(0);
+
+    await page.click('#btn-undo');
+    expect(await filledCells(page)).toBe(PUZZLE.replace(/\./g, '').length);
+  });
+});
+
+test.describe('Conflict modal', () => {
+  test.beforeEach(async ({ page }) => {
+    await cell(page, 0, 0).fill('5');
+    await cell(page, 0, 4).fill('5');
+    await page.click('#btn-solve');
+  });
+
+  test('opens on a board with duplicates and marks them', async ({ page }) => {
+    await expect(page.locator('#modal-overlay')).toBeVisible();
+    await expect(page.locator('#modal-message')).toContainText('2 conflicting cell(s)');
+    await expect(cell(page, 0, 0)).toHaveClass(/\berror\b/);
+    await expect(cell(page, 0, 4)).toHaveClass(/\berror\b/);
+    await expect(cell(page, 0, 4)).toHaveAttribute('aria-label', 'Row 1, Column 5, Box 2, conflict');
+  });
+
+  test('keeps focus inside and closes on Escape', async ({ page }) => {
+    await expect(page.locator('#modal-cancel')).toBeFocused();
+    await page.keyboard.press('Tab');
+    await expect(page.locator('#modal-proceed')).toBeFocused();
+    await page.keyboard.press('Shift+Tab');
+    await expect(page.locator('#modal-cancel')).toBeFocused();
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#modal-overlay')).toBeHidden();
+    await expect(page.locator('#status-bar')).toContainText('Solve cancelled');
+    await expect(page.locator('#btn-solve')).toBeFocused();
+  });
+
+  test('Cancel closes it and keeps the board', async ({ page }) => {
+    await page.click('#modal-cancel');
+    await expect(page.locator('#modal-overlay')).toBeHidden();
+    await expect(page.locator('#status-bar')).toContainText('Solve cancelled');
+    await expect(cell(page, 0, 4)).toHaveValue('5');
+  });
+
+  test('Proceed generates a new puzzle instead', async ({ page }) => {
+    await page.click('#modal-proceed');
+    await expect(page.locator('#modal-overlay')).toBeHidden();
+    await expect(page.locator('#status-bar')).toContainText('puzzle generated', { timeout: 30_000 });
+    await expect(page.locator('.sudoku-cell.error')).toHaveCount(0);
+  });
+});
+
+test.describe('Palette editor', () => {
+  test('previews, warns about look-alike digits and keeps saved palettes', async ({ page }) => {
+    await page.click('#palette-edit');
+    await page.locator('#palette-anchor-0').fill('#000000');
+    await page.locator('#palette-anchor-1').fill('#080808');
+    await page.locator('#palette-anchor-2').fill('#101010');
+    await expect(page.locator('#palette-message')).toContainText('Hard to tell apart');
+    await expect(page.locator('.legend-color').first()).toHaveCSS('background-color', 'rgb(0, 0, 0)');
+
+    await page.locator('#palette-use-middle').uncheck();
+    await page.locator('#palette-anchor-2').fill('#fde68a');
+    await expect(page.locator('#palette-message')).toBeEmpty();
+    await page.fill('#palette-name', 'Ember');
+    await page.click('#palette-save');
+    await expect(page.locator('.palette-btn.active')).toHaveText('Ember');
+
+    await page.reload();
+    await expect(page.locator('.palette-btn.active')).toHaveText('Ember');
+  });
+});
+
+test.describe('Print sheets', () => {
+  test('downloads the puzzle and its answer key as SVG', async ({ page }) => {
+    await page.click('#btn-generate');
+    await expect(page.locator('#status-bar')).toContainText('puzzle generated', { timeout: 30_000 });
+    await page.click('#btn-print');
+    await page.locator('#print-answers').check();
+
+    const [download] = await Promise.all([page.waitForEvent('download'), page.click('#print-svg')]);
+    expect(download.suggestedFilename()).toBe('sudoku.svg');
+    const svg = fs.readFileSync(await download.path(), 'utf8');
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toContain('Answer — ');
+    await expect(page.locator('#print-message')).toContainText('sudoku.svg downloaded');
+  });
+
+  test('asks for a puzzle on an empty board', async ({ page }) => {
+    await page.click('#btn-print');
+    await page.click('#print-go');
+    await expect(page.locator('#print-message')).toContainText('The board is empty');
+  });
+});
+
+test.describe('Number pad on touch screens', () => {
+  test.use({ hasTouch: true, isMobile: true, viewport: { width: 390, height: 844 } });
+
+  test('enters digits in the tapped cell and counts what is left', async ({ page }) => {
+    await expect(page.locator('#number-pad')).toBeVisible();
+    await expect(cell(page, 0, 0)).toHaveAttribute('inputmode', 'none');
+
+    await cell(page, 2, 3).tap();
+    await page.locator('.pad-btn[data-digit="5"]').tap();
+    await expect(cell(page, 2, 3)).toHaveValue('5');
+    await expect(page.locator('.pad-btn[data-digit="5"] .pad-count')).toHaveText('8');
+
+    await cell(page, 7, 7).tap();
+    await page.locator('.pad-btn[data-digit="5"]').tap();
+    await expect(page.locator('.sudoku-cell.same-digit')).toHaveCount(2);
+
+    await page.locator('#pad-erase').tap();
+    await expect(cell(page, 7, 7)).toHaveValue('');
+    await expect(page.locator('.pad-btn[data-digit="5"] .pad-count')).toHaveText('8');
+  });
+});
+
+test.describe('Keyboard navigation', () => {
+  test('arrow keys move between cells and wrap at the edges', async ({ page }) => {
+    await cell(page, 0, 0).focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(cell(page, 0, 1)).toBeFocused();
+    await page.keyboard.press('ArrowDown');
+    await expect(cell(page, 1, 1)).toBeFocused();
+    await page.keyboard.press('ArrowLeft');
+    await page.keyboard.press('ArrowLeft');
+    await expect(cell(page, 1, 8)).toBeFocused();
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    await expect(cell(page, 8, 8)).toBeFocused();
+  });
+
+  test('Home, End and Ctrl+arrows jump along rows, boxes and the board', async ({ page }) => {
+    await cell(page, 4, 4).focus();
+    await page.keyboard.press('Home');
+    await expect(cell(page, 4, 0)).toBeFocused();
+    await page.keyboard.press('End');
+    await expect(cell(page, 4, 8)).toBeFocused();
+    await page.keyboard.press('Control+ArrowDown');
+    await expect(cell(page, 7, 8)).toBeFocused();
+    await page.keyboard.press('Control+ArrowRight');
+    await expect(cell(page, 7, 2)).toBeFocused();
+    await page.keyboard.press('Control+Home');
+    await expect(cell(page, 0, 0)).toBeFocused();
+  });
+
+  test('the board is a single Tab stop with labelled cells', async ({ page }) => {
+    await expect(page.locator('#sudoku-board')).toHaveAttribute('role', 'grid');
+    await expect(page.locator('.sudoku-cell[tabindex="0"]')).toHaveCount(1);
+    await cell(page, 3, 5).focus();
+    await expect(cell(page, 3, 5)).toHaveAttribute('tabindex', '0');
+    await expect(cell(page, 0, 0)).toHaveAttribute('tabindex', '-1');
+    await expect(cell(page, 3, 5)).toHaveAttribute('aria-label', 'Row 4, Column 6, Box 5');
+  });
+
+  test('Alt+C clears and ? lists the shortcuts', async ({ page }) => {
+    await typePuzzle(page, PUZZLE);
+    await page.keyboard.press('Alt+KeyC');
+    expect(await filledCells(page)).toBe(0);
+
+    await page.locator('body').press('?');
+    await expect(page.locator('#shortcuts-overlay')).toBeVisible();
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#shortcuts-overlay')).toBeHidden();
+  });
+
+  test('typing enters digits, ignores other keys, Backspace erases', async ({ page }) => {
+    await cell(page, 4, 4).focus();
+    await page.keyboard.type('x');
+    await expect(cell(page, 4, 4)).toHaveValue('');
+    await page.keyboard.type('7');
+    await expect(cell(page, 4, 4)).toHaveValue('7');
+    await expect(cell(page, 4, 4)).toHaveClass(/\buser-input\b/);
+    await page.keyboard.press('Backspace');
+    await expect(cell(page, 4, 4)).toHaveValue('');
+  });
+
+  test('clues cannot be erased', async ({ page }) => {
+    await page.click('#btn-generate');
+    await expect(page.locator('#status-bar')).toContainText('puzzle generated', { timeout: 30_000 });
+    const clue = page.locator('.sudoku-cell.given').first();
+    const value = await clue.inputValue();
+    await clue.focus();
+    await page.keyboard.press('Backspace');
+    await expect(clue).toHaveValue(value);
+    await expect(page.locator('#status-bar')).toContainText('given clue');
+  });
+});
@@ -0,0 +1,36 @@
+/* ========================================================
+   Sudoku Solver — Test Server  |  e2e/server.js
+   Serves the app folder over HTTP for the browser tests
+   (workers don't load from file:// URLs).
+   Usage: node e2e/server.js [port]
+   ======================================================== */
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.argv[2]) || 4173;
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+};
+
+http.createServer((req, res) => {
+  const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}).listen(PORT, () => console.log(`Serving ${ROOT} on http://localhost:${PORT}`));
@@ -2,56 +2,116 @@
    Sudoku Solver — Logic Module  |  logic.js
    Ported & enhanced from adars87/Sudoku (Java)
    Features:
+     - Grid sizes 4x4, 6x6, 9x9, 12x12 and 16x16 (rectangular boxes)
      - Validation (row, col, box)
+     - Variant constraints (Diagonal, Windoku, Anti-Knight, Killer)
      - Backtracking solver with randomized candidate order
-     - Random puzzle generator
+     - Random puzzle generator (unique-solution guaranteed)
+     - Seeded random numbers for reproducible puzzles
+     - Solution counting, and proofs of none / one / several
+     - Human-style logical solver with step trace
+     - Step-by-step backtracking events for visualization
+     - Pluggable solver strategies (backtracking, MRV, DLX, propagation)
+     - Puzzle import/export (81-char strings, .sdk/.sdm, grids)
      - Solve statistics (backtrack count, elapsed time)
      - Fully-solved detection
+   Loads as a classic script (browser globals, importScripts)
+   or as a CommonJS module under Node — see Module exports.
    ======================================================== */
 
+/** Timer for solve statistics — `performance` where available, else Date. */
+const clock = typeof performance !== 'undefined' ? performance : Date;
+
+/* ========================================================
+   Grid geometry
+   Boards are square arrays of any supported size — a board's
+   size is always board.length — with boxes of BOX_SHAPES.
+   ======================================================== */
+
+/** Supported board sizes and their box shapes [rows, cols]. */
+const BOX_SHAPES = { 4: [2, 2], 6: [2, 3], 9: [3, 3], 12: [3, 4], 16: [4, 4] };
+const GRID_SIZES = Object.keys(BOX_SHAPES).map(Number);
+
+/** Symbols for digits 1-16; letters stand for 10 and up. */
+const DIGIT_SYMBOLS = '123456789ABCDEFG';
+
+/** Box shape { rows, cols } for a board size. */
+function boxShape(size) {
+  const [rows, cols] = BOX_SHAPES[size];
+  return { rows, cols };
+}
+
+/** Index of the box holding (row, col), counting boxes in reading order. */
+function boxIndexOf(size, row, col) {
+  const [rows, cols] = BOX_SHAPES[size];
+  return Math.floor(row / rows) * (size / cols) + Math.floor(col / cols);
+}
+
+/** A size x size board of zeros. */
+function createEmptyBoard(size = 9) {
+  return Array.from({ length: size }, () => Array(size).fill(0));
+}
+
+/** The symbol shown for a digit: 1-9, then A (10) to G (16). */
+function digitSymbol(value) {
+  return DIGIT_SYMBOLS[value - 1];
+}
+
+/** The digit a typed or pasted symbol stands for, or 0 if it is none. */
+function symbolValue(ch) {
+  if (!ch) return 0;
+  return DIGIT_SYMBOLS.indexOf(ch.toUpperCase()) + 1;
+}
+
 /**
  * Check if placing `num` at board[row][col] is valid.
  * Mirrors Java's verify(i, j).
+ *
+ * `constraints` (optional) is a variant constraint set from
+ * createConstraints(); null means classic rules only.
  */
-function isValidPlacement(board, row, col, num) {
+function isValidPlacement(board, row, col, num, constraints = null) {
+  const size = board.length;
   // Check row
-  for (let c = 0; c < 9; c++) {
+  for (let c = 0; c < size; c++) {
     if (c !== col && board[row][c] === num) return false;
   }
   // Check column
-  for (let r = 0; r < 9; r++) {
+  for (let r = 0; r < size; r++) {
     if (r !== row && board[r][col] === num) return false;
   }
-  // Check 3x3 box — matches Java's (i/3)*3 approach
-  const boxR = Math.floor(row / 3) * 3;
-  const boxC = Math.floor(col / 3) * 3;
-  for (let r = boxR; r < boxR + 3; r++) {
-    for (let c = boxC; c < boxC + 3; c++) {
+  // Check box — Java's (i/3)*3 approach, generalized to rectangular boxes
+  const [rows, cols] = BOX_SHAPES[size];
+  const boxR = Math.floor(row / rows) * rows;
+  const boxC = Math.floor(col / cols) * cols;
+  for (let r = boxR; r < boxR + rows; r++) {
+    for (let c = boxC; c < boxC + cols; c++) {
       if (r !== row || c !== col) {
         if (board[r][c] === num) return false;
       }
     }
   }
-  return true;
+  return !constraints || satisfiesVariant(board, row, col, num, constraints);
 }
 
 /**
  * Validate the entire board for conflicts.
- * Mirrors Java's evalid() — also checks range [1-9].
+ * Mirrors Java's evalid() — also checks range [1-size].
  * Returns an array of {row, col} positions that have conflicts.
  */
-function validateBoard(board) {
+function validateBoard(board, constraints = null) {
+  const size = board.length;
   const conflicts = [];
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       const val = board[r][c];
       if (val === 0) continue;
       // Range check (mirrors Java's evalid: val < 0 || val > 9)
-      if (val < 1 || val > 9) {
+      if (val < 1 || val > size) {
         conflicts.push({ row: r, col: c });
         continue;
       }
-      if (!isValidPlacement(board, r, c, val)) {
+      if (!isValidPlacement(board, r, c, val, constraints)) {
         conflicts.push({ row: r, col: c });
       }
     }
@@ -64,8 +124,8 @@ function validateBoard(board) {
  * Mirrors Java's etest(9).
  */
 function isBoardComplete(board) {
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
       if (board[r][c] === 0) return false;
     }
   }
@@ -76,33 +136,230 @@ function isBoardComplete(board) {
  * Check if a completed board is a valid Sudoku solution.
  * Combines isBoardComplete + validateBoard.
  */
-function isBoardSolved(board) {
-  return isBoardComplete(board) && validateBoard(board).length === 0;
+function isBoardSolved(board, constraints = null) {
+  return isBoardComplete(board) && validateBoard(board, constraints).length === 0;
+}
+
+/* ========================================================
+   Random numbers
+   Everything random in generation draws from an `rng` — a
+   function returning floats in [0, 1) like Math.random, which
+   is the default. Passing createRng(seed) instead makes the
+   same seed give the same puzzle on every machine.
+   ======================================================== */
+
+/**
+ * Hash a seed string to 32 bits (FNV-1a).
+ */
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32). `seed` is any string or number — seeds
+ * are compared as text, so 42 and '42' give the same sequence.
+ */
+function createRng(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fresh random seed — 8 lowercase hex digits, short enough to read out.
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296).toString(16).padStart(8, '0');
+}
+
+/* ========================================================
+   Variant constraints
+   Extra rules layered on top of row / column / box. A
+   constraint set is built once per puzzle and passed to
+   isValidPlacement and everything that calls it.
+   Variants are defined for 9x9 boards only.
+   ======================================================== */
+
+const DIAGONALS = [
+  Array.from({ length: 9 }, (_, i) => [i, i]),
+  Array.from({ length: 9 }, (_, i) => [i, 8 - i]),
+];
+
+// The four shaded 3x3 windows of Windoku / Hyper Sudoku
+const WINDOWS = [[1, 1], [1, 5], [5, 1], [5, 5]].map(([top, left]) => {
+  const cells = [];
+  for (let r = top; r < top + 3; r++) {
+    for (let c = left; c < left + 3; c++) cells.push([r, c]);
+  }
+  return cells;
+});
+
+const KNIGHT_MOVES = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+
+/**
+ * Supported variants. `regions` are extra units whose digits must all
+ * differ; `antiKnight` forbids equal digits a chess knight's move
+ * apart; `cages` means the puzzle comes with Killer cages, whose digits
+ * differ and add up to the cage's sum.
+ */
+const VARIANTS = {
+  classic: { name: 'Classic', regions: [] },
+  diagonal: { name: 'Diagonal', regions: DIAGONALS },
+  windoku: { name: 'Windoku', regions: WINDOWS },
+  antiKnight: { name: 'Anti-Knight', regions: [], antiKnight: true },
+  killer: { name: 'Killer', regions: [], cages: true },
+};
+
+/**
+ * Build the constraint set for a variant.
+ * `cages` is a list of Killer cages { cells: [[row, col]], sum }.
+ *
+ * Returns null for classic rules, otherwise
+ *   { variant, regions, cages, peers, cageOf }
+ * where peers[r * 9 + c] lists the cells outside the cell's row, column
+ * and box that may not repeat its digit, and cageOf[r * 9 + c] is the
+ * cell's cage (or null).
+ */
+function createConstraints(variant = 'classic', cages = []) {
+  const def = VARIANTS[variant] || VARIANTS.classic;
+  if (def.regions.length === 0 && !def.antiKnight && cages.length === 0) return null;
+
+  const peerSets = Array.from({ length: 81 }, () => new Set());
+  const link = (groups) => {
+    for (const cells of groups) {
+      for (const [r1, c1] of cells) {
+        for (const [r2, c2] of cells) peerSets[r1 * 9 + c1].add(r2 * 9 + c2);
+      }
+    }
+  };
+
+  link(def.regions);
+  link(cages.map(cage => cage.cells));
+  if (def.antiKnight) {
+    for (let r = 0; r < 9; r++) {
+      for (let c = 0; c < 9; c++) {
+        for (const [dr, dc] of KNIGHT_MOVES) {
+          const r2 = r + dr, c2 = c + dc;
+          if (r2 >= 0 && r2 < 9 && c2 >= 0 && c2 < 9) peerSets[r * 9 + c].add(r2 * 9 + c2);
+        }
+      }
+    }
+  }
+
+  // Row, column and box are checked by isValidPlacement already
+  const peers = peerSets.map((set, i) => {
+    const r = Math.floor(i / 9), c = i % 9;
+    return [...set]
+      .map(j => [Math.floor(j / 9), j % 9])
+      .filter(([r2, c2]) => r2 !== r && c2 !== c &&
+        (Math.floor(r2 / 3) !== Math.floor(r / 3) || Math.floor(c2 / 3) !== Math.floor(c / 3)));
+  });
+
+  const cageOf = Array(81).fill(null);
+  for (const cage of cages) {
+    for (const [r, c] of cage.cells) cageOf[r * 9 + c] = cage;
+  }
+
+  return { variant, regions: def.regions, cages, peers, cageOf };
+}
+
+/**
+ * The variant half of isValidPlacement: extra peers, then the cage sum.
+ * A cage must still be completable — whatever its empty cells need to
+ * add up to has to be reachable with that many distinct digits.
+ */
+function satisfiesVariant(board, row, col, num, constraints) {
+  for (const [r, c] of constraints.peers[row * 9 + col]) {
+    if (board[r][c] === num) return false;
+  }
+
+  const cage = constraints.cageOf[row * 9 + col];
+  if (!cage) return true;
+  let left = cage.sum - num;
+  let empty = 0;
+  for (const [r, c] of cage.cells) {
+    if (r === row && c === col) continue;
+    if (board[r][c] === 0) empty++;
+    else left -= board[r][c];
+  }
+  // Smallest and largest sums of `empty` distinct digits
+  return left >= (empty * (empty + 1)) / 2 && left <= (empty * (19 - empty)) / 2;
+}
+
+/**
+ * Split a solved grid into random Killer cages of up to `maxSize`
+ * orthogonally connected cells, never repeating a digit inside a cage.
+ *
+ * Returns [{ cells: [[row, col]], sum }]
+ */
+function buildKillerCages(solution, maxSize = 4, rng = Math.random) {
+  const taken = new Uint8Array(81);
+  const cages = [];
+
+  for (const start of shuffleArray([...Array(81).keys()], rng)) {
+    if (taken[start]) continue;
+    const size = 2 + Math.floor(rng() * (maxSize - 1));
+    const cells = [start];
+    const digits = new Set([solution[Math.floor(start / 9)][start % 9]]);
+    taken[start] = 1;
+
+    while (cells.length < size) {
+      // Free neighbours whose digit the cage doesn't hold yet
+      const options = [];
+      for (const i of cells) {
+        const r = Math.floor(i / 9), c = i % 9;
+        for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+          const r2 = r + dr, c2 = c + dc, j = r2 * 9 + c2;
+          if (r2 < 0 || r2 > 8 || c2 < 0 || c2 > 8 || taken[j]) continue;
+          if (!digits.has(solution[r2][c2])) options.push(j);
+        }
+      }
+      if (options.length === 0) break;
+      const next = options[Math.floor(rng() * options.length)];
+      taken[next] = 1;
+      cells.push(next);
+      digits.add(solution[Math.floor(next / 9)][next % 9]);
+    }
+
+    const coords = cells.sort((a, b) => a - b).map(i => [Math.floor(i / 9), i % 9]);
+    cages.push({ cells: coords, sum: coords.reduce((sum, [r, c]) => sum + solution[r][c], 0) });
+  }
+  return cages;
 }
 
 /**
  * Shuffle an array in-place using Fisher-Yates.
  * Mirrors Java's shuffle() which randomizes the candidate list.
  */
-function shuffleArray(arr) {
+function shuffleArray(arr, rng = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
 /**
- * Build the candidate cube — a 9x9x9 3D array where
- * ncube[r][c] = shuffled list of [1..9].
+ * Build the candidate cube — a size x size x size 3D array where
+ * ncube[r][c] = shuffled list of [1..size].
  * Mirrors Java's ncube[9][9][9] with shuffle().
  */
-function buildCandidateCube() {
+function buildCandidateCube(size = 9, rng = Math.random) {
   const cube = [];
-  for (let r = 0; r < 9; r++) {
+  for (let r = 0; r < size; r++) {
     cube[r] = [];
-    for (let c = 0; c < 9; c++) {
-      cube[r][c] = shuffleArray([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    for (let c = 0; c < size; c++) {
+      cube[r][c] = shuffleArray(Array.from({ length: size }, (_, i) => i + 1), rng);
     }
   }
   return cube;
@@ -122,41 +379,59 @@ function buildCandidateCube() {
  * - MAX_BACKTRACKS: mirrors Java's etest() exhaustion check
  * - MAX_TIME_MS: hard time limit as a safety net
  *
- * Returns { solved: boolean, backtracks: number, elapsedMs: number }
+ * `onProgress` (optional) is called with { backtracks, elapsedMs } about
+ * every PROGRESS_INTERVAL_MS while the search runs. `constraints`
+ * (optional) adds variant rules, see createConstraints().
+ *
+ * Returns { solved: boolean, nodes: number, backtracks: number, elapsedMs: number, order }
+ * where `nodes` counts the placements tried and `order` numbers the
+ * blanks 1, 2, 3... in the order their final digits were placed (clues
+ * are 0), or is null when the search failed.
  */
 const MAX_BACKTRACKS = 1_000_000;
 const MAX_TIME_MS = 5000;
+const PROGRESS_INTERVAL_MS = 100;
 
-function solveBoardWithStats(board, cube) {
-  const stats = { solved: false, backtracks: 0, elapsedMs: 0 };
-  const startTime = performance.now();
+function solveBoardWithStats(board, cube, onProgress, constraints = null) {
+  const stats = { solved: false, nodes: 0, backtracks: 0, elapsedMs: 0, order: null };
+  const log = createPlacementLog(board);
+  const startTime = clock.now();
+  let lastProgress = startTime;
+  const size = board.length;
 
   // If no cube provided, build one (randomized candidates)
   if (!cube) {
-    cube = buildCandidateCube();
+    cube = buildCandidateCube(size);
   }
 
   function backtrack() {
     // Safety: check backtrack limit (mirrors Java's etest() exhaustion)
     if (stats.backtracks >= MAX_BACKTRACKS) return false;
     // Safety: check time limit
-    if (performance.now() - startTime > MAX_TIME_MS) return false;
+    if (clock.now() - startTime > MAX_TIME_MS) return false;
 
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
         if (board[r][c] === 0) {
           // Try candidates in the shuffled order from the cube
           const candidates = cube[r][c];
-          for (let k = 0; k < 9; k++) {
+          for (let k = 0; k < size; k++) {
             const num = candidates[k];
-            if (isValidPlacement(board, r, c, num)) {
+            if (isValidPlacement(board, r, c, num, constraints)) {
               board[r][c] = num;
+              log.place(r, c);
+              stats.nodes++;
               if (backtrack()) return true;
               board[r][c] = 0;
               stats.backtracks++;
               // Check limits after each backtrack
               if (stats.backtracks >= MAX_BACKTRACKS) return false;
-              if (performance.now() - startTime > MAX_TIME_MS) return false;
+              const now = clock.now();
+              if (now - startTime > MAX_TIME_MS) return false;
+              if (onProgress && now - lastProgress >= PROGRESS_INTERVAL_MS) {
+                lastProgress = now;
+                onProgress({ backtracks: stats.backtracks, elapsedMs: now - startTime });
+              }
             }
           }
           return false; // trigger backtrack
@@ -167,10 +442,176 @@ function solveBoardWithStats(board, cube) {
   }
 
   stats.solved = backtrack();
-  stats.elapsedMs = performance.now() - startTime;
+  stats.elapsedMs = clock.now() - startTime;
+  if (stats.solved) stats.order = log.order();
   return stats;
 }
 
+/**
+ * Records the step at which a search places each cell. A cell placed
+ * again after a backtrack keeps its latest step, so once the search
+ * succeeds each blank holds the step of the digit that stayed.
+ * order() numbers the blanks of `board` 1, 2, 3... by those steps and
+ * leaves the clues at 0.
+ */
+function createPlacementLog(board) {
+  const blank = board.map(row => row.map(val => val === 0));
+  const placedAt = board.map(row => row.map(() => 0));
+  let step = 0;
+
+  return {
+    place(r, c) {
+      placedAt[r][c] = ++step;
+    },
+    order() {
+      const cells = [];
+      blank.forEach((row, r) => row.forEach((isBlank, c) => {
+        if (isBlank) cells.push([placedAt[r][c], r, c]);
+      }));
+      cells.sort((a, b) => a[0] - b[0]);
+      const order = placedAt.map(row => row.map(() => 0));
+      cells.forEach(([, r, c], i) => { order[r][c] = i + 1; });
+      return order;
+    },
+  };
+}
+
+/**
+ * Step-by-step version of the backtracking search, for visualization.
+ * Same cell order and candidate handling as solveBoardWithStats, but it
+ * yields one event per action instead of running to the end:
+ *   { type: 'conflict',  row, col, value } — candidate rejected by the rules
+ *   { type: 'place',     row, col, value } — candidate written to the board
+ *   { type: 'backtrack', row, col, value } — placement undone
+ *   { type: 'done', solved }               — search finished
+ *
+ * Mutates `board` as it goes. No backtrack or time limits — the caller
+ * decides how far to run it.
+ */
+function* backtrackingSteps(board, cube = buildCandidateCube(board.length), constraints = null) {
+  const size = board.length;
+  function* search() {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (board[r][c] !== 0) continue;
+        for (const num of cube[r][c]) {
+          if (!isValidPlacement(board, r, c, num, constraints)) {
+            yield { type: 'conflict', row: r, col: c, value: num };
+            continue;
+          }
+          board[r][c] = num;
+          yield { type: 'place', row: r, col: c, value: num };
+          if (yield* search()) return true;
+          board[r][c] = 0;
+          yield { type: 'backtrack', row: r, col: c, value: num };
+        }
+        return false; // trigger backtrack
+      }
+    }
+    return true; // solved — no empty cell found
+  }
+
+  const solved = yield* search();
+  yield { type: 'done', solved };
+}
+
+/**
+ * Find up to `limit` solutions of a board.
+ * Picks the empty cell with the fewest candidates first (no shuffling —
+ * the order does not matter when enumerating). The board is left unchanged.
+ *
+ * `maxNodes` caps the number of placements tried; when the cap is hit
+ * the search stops and the result is flagged `incomplete`.
+ *
+ * Returns an array of solved boards (0 .. limit of them).
+ */
+function findSolutions(board, limit = 2, constraints = null, maxNodes = Infinity) {
+  const work = cloneBoard(board);
+  const size = work.length;
+  const solutions = [];
+  let nodes = 0;
+
+  // Digits used per row, column and box as bitmasks, so large grids
+  // don't rescan their units for every candidate
+  const rows = new Uint32Array(size), cols = new Uint32Array(size), boxes = new Uint32Array(size);
+  const toggle = (r, c, num) => {
+    const bit = 1 << num;
+    rows[r] ^= bit; cols[c] ^= bit; boxes[boxIndexOf(size, r, c)] ^= bit;
+  };
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (work[r][c] !== 0) toggle(r, c, work[r][c]);
+    }
+  }
+
+  function search() {
+    // Find the empty cell with the fewest legal candidates
+    let bestR = -1, bestC = -1, bestCands = null;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (work[r][c] !== 0) continue;
+        const used = rows[r] | cols[c] | boxes[boxIndexOf(size, r, c)];
+        const cands = [];
+        for (let num = 1; num <= size; num++) {
+          if (!(used & (1 << num)) && (!constraints || satisfiesVariant(work, r, c, num, constraints))) {
+            cands.push(num);
+          }
+        }
+        if (cands.length === 0) return; // dead end
+        if (!bestCands || cands.length < bestCands.length) {
+          bestR = r; bestC = c; bestCands = cands;
+          if (cands.length === 1) break;
+        }
+      }
+      if (bestCands && bestCands.length === 1) break;
+    }
+
+    if (!bestCands) {
+      solutions.push(cloneBoard(work)); // no empty cell — a complete solution
+      return;
+    }
+
+    for (const num of bestCands) {
+      if (++nodes > maxNodes) {
+        solutions.incomplete = true;
+        return;
+      }
+      work[bestR][bestC] = num;
+      toggle(bestR, bestC, num);
+      search();
+      toggle(bestR, bestC, num);
+      work[bestR][bestC] = 0;
+      if (solutions.length >= limit || solutions.incomplete) return;
+    }
+  }
+
+  // A board that already breaks the rules has no solutions
+  if (validateBoard(work, constraints).length > 0) return solutions;
+  search();
+  return solutions;
+}
+
+/**
+ * Count the solutions of a board, stopping once `limit` is reached.
+ * Used by the generator to check that a puzzle is still uniquely
+ * solvable — with the default limit of 2 the search ends as soon as a
+ * second solution turns up, so "exactly one" is cheap to prove.
+ *
+ * Returns the number of solutions found (0 .. limit).
+ */
+function countSolutions(board, limit = 2, constraints = null) {
+  return findSolutions(board, limit, constraints).length;
+}
+
+/**
+ * Check whether a board has exactly one solution. With `maxNodes`, a
+ * search that runs out of budget counts as not proven unique.
+ */
+function hasUniqueSolution(board, constraints = null, maxNodes = Infinity) {
+  const solutions = findSolutions(board, 2, constraints, maxNodes);
+  return solutions.length === 1 && !solutions.incomplete;
+}
+
 /**
  * Simple solve (backward compatible).
  */
@@ -184,15 +625,29 @@ function solveBoard(board) {
  * Mirrors Java's option 1: "generate a random solution" —
  * calls process() on an empty board with shuffled ncube.
  *
+ * Variant rules can occasionally send an unlucky candidate order past
+ * the solver's limits; the search then starts over with a new cube.
+ * Those limits include MAX_TIME_MS, so a seeded `rng` only reproduces
+ * such a grid on a machine that hits the same limit.
+ *
  * Returns { board: int[][], stats: { backtracks, elapsedMs } }
  */
-function generateFullSolution() {
-  const board = Array.from({ length: 9 }, () => Array(9).fill(0));
-  const cube = buildCandidateCube();
-  const stats = solveBoardWithStats(board, cube);
+function generateFullSolution(constraints = null, size = 9, rng = Math.random) {
+  let board, stats;
+  do {
+    board = createEmptyBoard(size);
+    stats = solveBoardWithStats(board, buildCandidateCube(size, rng), undefined, constraints);
+  } while (!stats.solved);
   return { board, stats };
 }
 
+/**
+ * Search budget for each uniqueness check on boards larger than 9x9.
+ * Their search trees grow too fast to prove every removal, so a cell
+ * whose check runs out of budget simply stays a clue.
+ */
+const UNIQUENESS_NODE_BUDGET = 1000;
+
 /**
  * Generate a playable puzzle by removing cells from a full solution.
  * `clues` is the number of filled cells to keep (17-50 recommended).
@@ -201,33 +656,1602 @@ function generateFullSolution() {
  *   Medium = ~30-35 clues
  *   Hard   = ~22-27 clues
  *
- * Returns { puzzle: int[][], solution: int[][], stats }
+ * A cell is only removed if the puzzle still has exactly one solution,
+ * so the result always matches `solution`. Low clue targets may not be
+ * reachable for a given solution grid — in that case the puzzle keeps
+ * more clues than asked for (see `clues` in the result).
+ *
+ * `variant` is a key of VARIANTS; Killer puzzles get their cages cut
+ * from the solution before clues are removed. `size` is the board size
+ * (variants need 9). `rng` (see createRng) drives every random choice.
+ *
+ * Returns { puzzle: int[][], solution: int[][], clues: number, cages, stats }
  */
-function generatePuzzle(clues = 32) {
-  const { board: solution, stats } = generateFullSolution();
+function generatePuzzle(clues = 32, variant = 'classic', size = 9, rng = Math.random) {
+  const { board: solution, stats } = generateFullSolution(createConstraints(variant), size, rng);
+  const cages = VARIANTS[variant] && VARIANTS[variant].cages ? buildKillerCages(solution, undefined, rng) : [];
+  const constraints = createConstraints(variant, cages);
   const puzzle = cloneBoard(solution);
 
-  // Create a list of all 81 positions, shuffle, then remove (81 - clues)
+  // Try removing positions in random order, keeping each removal
+  // only if the puzzle stays uniquely solvable
   const positions = [];
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       positions.push([r, c]);
     }
   }
-  shuffleArray(positions);
+  shuffleArray(positions, rng);
 
-  const toRemove = 81 - clues;
-  for (let i = 0; i < toRemove && i < positions.length; i++) {
+  const budget = size > 9 ? UNIQUENESS_NODE_BUDGET : Infinity;
+  let remaining = size * size;
+  for (let i = 0; i < positions.length && remaining > clues; i++) {
     const [r, c] = positions[i];
+    const val = puzzle[r][c];
     puzzle[r][c] = 0;
+    if (hasUniqueSolution(puzzle, constraints, budget)) {
+      remaining--;
+    } else {
+      puzzle[r][c] = val; // removal would allow a second solution
+    }
   }
 
-  return { puzzle, solution, stats };
+  return { puzzle, solution, clues: remaining, cages, stats };
 }
 
 /**
- * Deep clone a 9x9 board.
+ * Deep clone a board.
  */
 function cloneBoard(board) {
   return board.map(row => [...row]);
 }
+
+/* ========================================================
+   Logical (human-style) solver
+   Solves the way a person does — one deduction at a time,
+   always trying the simplest technique first — and records
+   every step so the UI can explain *why* a digit goes where.
+   ======================================================== */
+
+/**
+ * Techniques in the order they are tried, easiest first.
+ * `rank` grows with difficulty and is what puzzle grading uses.
+ */
+const LOGIC_TECHNIQUES = [
+  { name: 'Naked Single', rank: 1 },
+  { name: 'Hidden Single', rank: 1 },
+  { name: 'Pointing Pair', rank: 2 },
+  { name: 'Box/Line Reduction', rank: 2 },
+  { name: 'Naked Pair', rank: 3 },
+  { name: 'Hidden Pair', rank: 3 },
+  { name: 'Naked Triple', rank: 3 },
+  { name: 'Hidden Triple', rank: 3 },
+  { name: 'X-Wing', rank: 4 },
+  { name: 'XY-Wing', rank: 4 },
+  { name: 'Swordfish', rank: 5 },
+];
+
+const unitCache = {};
+
+/**
+ * All units of a board size (size rows, columns and boxes — 27 for
+ * 9x9) as lists of [row, col]. Built once per size.
+ */
+function getUnits(size = 9) {
+  if (unitCache[size]) return unitCache[size];
+  const [rows, cols] = BOX_SHAPES[size];
+  const boxesAcross = size / cols;
+  const units = [];
+  for (let i = 0; i < size; i++) {
+    const row = [], col = [], box = [];
+    const boxR = Math.floor(i / boxesAcross) * rows;
+    const boxC = (i % boxesAcross) * cols;
+    for (let j = 0; j < size; j++) {
+      row.push([i, j]);
+      col.push([j, i]);
+      box.push([boxR + Math.floor(j / cols), boxC + (j % cols)]);
+    }
+    units.push({ type: 'row', index: i, cells: row });
+    units.push({ type: 'column', index: i, cells: col });
+    units.push({ type: 'box', index: i, cells: box });
+  }
+  unitCache[size] = units;
+  return units;
+}
+
+/**
+ * Check whether two cells share a row, column or box.
+ */
+function cellsSeeEachOther(r1, c1, r2, c2, size = 9) {
+  if (r1 === r2 && c1 === c2) return false;
+  return r1 === r2 || c1 === c2 || boxIndexOf(size, r1, c1) === boxIndexOf(size, r2, c2);
+}
+
+/**
+ * Build the pencil-mark grid: candidates[r][c] is the Set of digits
+ * that can legally go into an empty cell (empty Set for filled cells).
+ * `constraints` (optional) adds variant rules.
+ */
+function computeCandidates(board, constraints = null) {
+  const size = board.length;
+  const candidates = [];
+  for (let r = 0; r < size; r++) {
+    candidates[r] = [];
+    for (let c = 0; c < size; c++) {
+      const set = new Set();
+      if (board[r][c] === 0) {
+        for (let num = 1; num <= size; num++) {
+          if (isValidPlacement(board, r, c, num, constraints)) set.add(num);
+        }
+      }
+      candidates[r][c] = set;
+    }
+  }
+  return candidates;
+}
+
+/**
+ * All k-element combinations of `items`.
+ */
+function combinations(items, k) {
+  const result = [];
+  (function pick(start, combo) {
+    if (combo.length === k) {
+      result.push([...combo]);
+      return;
+    }
+    for (let i = start; i < items.length; i++) {
+      combo.push(items[i]);
+      pick(i + 1, combo);
+      combo.pop();
+    }
+  })(0, []);
+  return result;
+}
+
+/** Format a cell as "r3c5" (1-based) for step descriptions. */
+function cellName(r, c) {
+  return `r${r + 1}c${c + 1}`;
+}
+
+/** Format a unit as "row 3" / "column 5" / "box 7" (1-based). */
+function unitName(unit) {
+  return `${unit.type} ${unit.index + 1}`;
+}
+
+/** Cells of a unit that are still empty and have `num` as a candidate. */
+function cellsWithCandidate(unit, candidates, num) {
+  return unit.cells.filter(([r, c]) => candidates[r][c].has(num));
+}
+
+/**
+ * Build a step record. Every technique returns one of these:
+ *   technique    — name from LOGIC_TECHNIQUES
+ *   cells        — the cells that make up the pattern, [{ row, col }]
+ *   units        — the rows/columns/boxes the pattern lives in, [{ type, index }]
+ *   placements   — digits written into cells, [{ row, col, value }]
+ *   eliminations — candidates removed from cells, [{ row, col, value }]
+ *   description  — one-line human-readable explanation
+ */
+function makeStep(technique, cells, units, placements, eliminations, description) {
+  return {
+    technique,
+    cells: cells.map(([row, col]) => ({ row, col })),
+    units: units.map(u => ({ type: u.type, index: u.index })),
+    placements,
+    eliminations,
+    description,
+  };
+}
+
+// ─── Techniques ─────────────────────────────────────────
+// Each finder returns the first step it can make, or null.
+
+function findNakedSingle(board, candidates) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      if (board[r][c] === 0 && candidates[r][c].size === 1) {
+        const [value] = candidates[r][c];
+        return makeStep('Naked Single', [[r, c]], [], [{ row: r, col: c, value }], [],
+          `${cellName(r, c)} can only be ${digitSymbol(value)}.`);
+      }
+    }
+  }
+  return null;
+}
+
+function findHiddenSingle(board, candidates) {
+  for (const unit of getUnits(board.length)) {
+    for (let num = 1; num <= board.length; num++) {
+      const cells = cellsWithCandidate(unit, candidates, num);
+      if (cells.length === 1) {
+        const [r, c] = cells[0];
+        return makeStep('Hidden Single', cells, [unit], [{ row: r, col: c, value: num }], [],
+          `${digitSymbol(num)} can only go in ${cellName(r, c)} within ${unitName(unit)}.`);
+      }
+    }
+  }
+  return null;
+}
+
+function findNakedSubset(board, candidates, size, technique) {
+  for (const unit of getUnits(board.length)) {
+    const open = unit.cells.filter(([r, c]) => {
+      const n = candidates[r][c].size;
+      return n >= 2 && n <= size;
+    });
+    for (const combo of combinations(open, size)) {
+      const digits = new Set();
+      for (const [r, c] of combo) candidates[r][c].forEach(d => digits.add(d));
+      if (digits.size !== size) continue;
+
+      const eliminations = [];
+      for (const [r, c] of unit.cells) {
+        if (combo.some(([cr, cc]) => cr === r && cc === c)) continue;
+        for (const d of digits) {
+          if (candidates[r][c].has(d)) eliminations.push({ row: r, col: c, value: d });
+        }
+      }
+      if (eliminations.length > 0) {
+        const list = [...digits].sort((a, b) => a - b).map(digitSymbol).join('/');
+        return makeStep(technique, combo, [unit], [], eliminations,
+          `${combo.map(([r, c]) => cellName(r, c)).join(', ')} hold only ${list}, so no other cell in ${unitName(unit)} can.`);
+      }
+    }
+  }
+  return null;
+}
+
+function findHiddenSubset(board, candidates, size, technique) {
+  const n = board.length;
+  for (const unit of getUnits(n)) {
+    const digitCells = {};
+    const open = [];
+    for (let num = 1; num <= n; num++) {
+      const cells = cellsWithCandidate(unit, candidates, num);
+      if (cells.length >= 2 && cells.length <= size) {
+        digitCells[num] = cells;
+        open.push(num);
+      }
+    }
+    for (const digits of combinations(open, size)) {
+      const keys = new Set();
+      const cells = [];
+      for (const d of digits) {
+        for (const [r, c] of digitCells[d]) {
+          if (!keys.has(r * n + c)) {
+            keys.add(r * n + c);
+            cells.push([r, c]);
+          }
+        }
+      }
+      if (cells.length !== size) continue;
+
+      const eliminations = [];
+      for (const [r, c] of cells) {
+        for (const d of candidates[r][c]) {
+          if (!digits.includes(d)) eliminations.push({ row: r, col: c, value: d });
+        }
+      }
+      if (eliminations.length > 0) {
+        return makeStep(technique, cells, [unit], [], eliminations,
+          `${digits.map(digitSymbol).join('/')} only fit in ${cells.map(([r, c]) => cellName(r, c)).join(', ')} within ${unitName(unit)}, so those cells hold nothing else.`);
+      }
+    }
+  }
+  return null;
+}
+
+function findPointingPair(board, candidates) {
+  const units = getUnits(board.length);
+  for (const box of units.filter(u => u.type === 'box')) {
+    for (let num = 1; num <= board.length; num++) {
+      const cells = cellsWithCandidate(box, candidates, num);
+      if (cells.length < 2) continue;
+
+      for (const type of ['row', 'column']) {
+        const key = type === 'row' ? 0 : 1;
+        if (!cells.every(cell => cell[key] === cells[0][key])) continue;
+
+        const line = units.find(u => u.type === type && u.index === cells[0][key]);
+        const eliminations = line.cells
+          .filter(([r, c]) => !box.cells.some(([br, bc]) => br === r && bc === c))
+          .filter(([r, c]) => candidates[r][c].has(num))
+          .map(([r, c]) => ({ row: r, col: c, value: num }));
+        if (eliminations.length > 0) {
+          return makeStep('Pointing Pair', cells, [box, line], [], eliminations,
+            `In ${unitName(box)}, ${digitSymbol(num)} is confined to ${unitName(line)}, so it can be removed from the rest of that ${type}.`);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function findBoxLineReduction(board, candidates) {
+  const size = board.length;
+  const units = getUnits(size);
+  for (const line of units.filter(u => u.type !== 'box')) {
+    for (let num = 1; num <= size; num++) {
+      const cells = cellsWithCandidate(line, candidates, num);
+      if (cells.length < 2) continue;
+
+      const boxIndex = ([r, c]) => boxIndexOf(size, r, c);
+      const b = boxIndex(cells[0]);
+      if (!cells.every(cell => boxIndex(cell) === b)) continue;
+
+      const box = units.find(u => u.type === 'box' && u.index === b);
+      const eliminations = box.cells
+        .filter(([r, c]) => !line.cells.some(([lr, lc]) => lr === r && lc === c))
+        .filter(([r, c]) => candidates[r][c].has(num))
+        .map(([r, c]) => ({ row: r, col: c, value: num }));
+      if (eliminations.length > 0) {
+        return makeStep('Box/Line Reduction', cells, [line, box], [], eliminations,
+          `In ${unitName(line)}, ${digitSymbol(num)} is confined to ${unitName(box)}, so it can be removed from the rest of that box.`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Basic fish: X-Wing (size 2) and Swordfish (size 3).
+ * If a digit's candidates in `size` rows all fall into the same `size`
+ * columns, it can be removed from those columns in every other row
+ * (and the same with rows and columns swapped).
+ */
+function findFish(board, candidates, size, technique) {
+  for (const [baseType, coverType] of [['row', 'column'], ['column', 'row']]) {
+    const bases = getUnits(board.length).filter(u => u.type === baseType);
+    const covers = getUnits(board.length).filter(u => u.type === coverType);
+    const coverOf = ([r, c]) => (coverType === 'column' ? c : r);
+
+    for (let num = 1; num <= board.length; num++) {
+      const open = bases.filter(u => {
+        const n = cellsWithCandidate(u, candidates, num).length;
+        return n >= 2 && n <= size;
+      });
+      for (const combo of combinations(open, size)) {
+        const cells = [];
+        const coverIdx = new Set();
+        for (const base of combo) {
+          for (const cell of cellsWithCandidate(base, candidates, num)) {
+            cells.push(cell);
+            coverIdx.add(coverOf(cell));
+          }
+        }
+        if (coverIdx.size !== size) continue;
+
+        const baseIdx = new Set(combo.map(u => u.index));
+        const eliminations = [];
+        for (const i of coverIdx) {
+          for (const [r, c] of covers[i].cells) {
+            const b = baseType === 'row' ? r : c;
+            if (!baseIdx.has(b) && candidates[r][c].has(num)) {
+              eliminations.push({ row: r, col: c, value: num });
+            }
+          }
+        }
+        if (eliminations.length > 0) {
+          const coverUnits = [...coverIdx].sort().map(i => covers[i]);
+          return makeStep(technique, cells, [...combo, ...coverUnits], [], eliminations,
+            `${digitSymbol(num)} in ${combo.map(unitName).join(', ')} is limited to ${coverUnits.map(unitName).join(', ')}, so it can be removed elsewhere in those ${coverType}s.`);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * XY-Wing: a pivot {x,y} sees two pincers {x,z} and {y,z}. Whichever
+ * value the pivot takes, one pincer becomes z — so any cell seeing
+ * both pincers cannot be z.
+ */
+function findXYWing(board, candidates) {
+  const size = board.length;
+  const bivalue = [];
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (candidates[r][c].size === 2) bivalue.push([r, c]);
+    }
+  }
+
+  for (const [pr, pc] of bivalue) {
+    const [x, y] = candidates[pr][pc];
+    const wings = bivalue.filter(([r, c]) => cellsSeeEachOther(pr, pc, r, c, size));
+    for (const [ar, ac] of wings) {
+      const a = candidates[ar][ac];
+      if (!(a.has(x) && !a.has(y))) continue;
+      const z = [...a].find(d => d !== x);
+      for (const [br, bc] of wings) {
+        const b = candidates[br][bc];
+        if (!(b.has(y) && b.has(z))) continue;
+
+        const eliminations = [];
+        for (let r = 0; r < size; r++) {
+          for (let c = 0; c < size; c++) {
+            if ((r === ar && c === ac) || (r === br && c === bc) || (r === pr && c === pc)) continue;
+            if (candidates[r][c].has(z) &&
+              cellsSeeEachOther(r, c, ar, ac, size) && cellsSeeEachOther(r, c, br, bc, size)) {
+              eliminations.push({ row: r, col: c, value: z });
+            }
+          }
+        }
+        if (eliminations.length > 0) {
+          const [dx, dy, dz] = [x, y, z].map(digitSymbol);
+          return makeStep('XY-Wing', [[pr, pc], [ar, ac], [br, bc]], [], [], eliminations,
+            `Pivot ${cellName(pr, pc)} (${dx}/${dy}) with pincers ${cellName(ar, ac)} (${dx}/${dz}) and ${cellName(br, bc)} (${dy}/${dz}): one pincer must be ${dz}, so cells seeing both cannot be ${dz}.`);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+const TECHNIQUE_FINDERS = {
+  'Naked Single': findNakedSingle,
+  'Hidden Single': findHiddenSingle,
+  'Pointing Pair': findPointingPair,
+  'Box/Line Reduction': findBoxLineReduction,
+  'Naked Pair': (b, cands) => findNakedSubset(b, cands, 2, 'Naked Pair'),
+  'Hidden Pair': (b, cands) => findHiddenSubset(b, cands, 2, 'Hidden Pair'),
+  'Naked Triple': (b, cands) => findNakedSubset(b, cands, 3, 'Naked Triple'),
+  'Hidden Triple': (b, cands) => findHiddenSubset(b, cands, 3, 'Hidden Triple'),
+  'X-Wing': (b, cands) => findFish(b, cands, 2, 'X-Wing'),
+  'XY-Wing': findXYWing,
+  'Swordfish': (b, cands) => findFish(b, cands, 3, 'Swordfish'),
+};
+
+/**
+ * Apply a step's placements and eliminations to the working board and
+ * candidate grid. A placement also clears that digit from its peers.
+ */
+function applyStep(board, candidates, step) {
+  const size = board.length;
+  const [rows, cols] = BOX_SHAPES[size];
+  for (const { row, col, value } of step.placements) {
+    board[row][col] = value;
+    candidates[row][col].clear();
+    for (let i = 0; i < size; i++) {
+      candidates[row][i].delete(value);
+      candidates[i][col].delete(value);
+    }
+    const boxR = Math.floor(row / rows) * rows;
+    const boxC = Math.floor(col / cols) * cols;
+    for (let r = boxR; r < boxR + rows; r++) {
+      for (let c = boxC; c < boxC + cols; c++) {
+        candidates[r][c].delete(value);
+      }
+    }
+  }
+  for (const { row, col, value } of step.eliminations) {
+    candidates[row][col].delete(value);
+  }
+}
+
+/**
+ * Find the next logical step for a board without applying it.
+ * Returns a step (see makeStep) or null if no technique applies.
+ */
+function findNextStep(board, candidates = computeCandidates(board)) {
+  for (const { name } of LOGIC_TECHNIQUES) {
+    const step = TECHNIQUE_FINDERS[name](board, candidates);
+    if (step) return step;
+  }
+  return null;
+}
+
+/**
+ * Solve the board like a human would, one technique at a time.
+ * After every step the search restarts from the easiest technique,
+ * so the trace always uses the simplest deduction available.
+ *
+ * The input board is not modified.
+ *
+ * Returns {
+ *   solved: boolean,   — true if logic alone completed the board
+ *   board: int[][],    — the board as far as logic got
+ *   steps: step[],     — ordered trace (see makeStep)
+ *   stuck: boolean,    — true if no technique applied before completion
+ * }
+ */
+function solveLogically(board) {
+  const work = cloneBoard(board);
+  const steps = [];
+
+  if (validateBoard(work).length > 0) {
+    return { solved: false, board: work, steps, stuck: false };
+  }
+
+  const candidates = computeCandidates(work);
+
+  while (!isBoardComplete(work)) {
+    // An empty cell with no candidates means the board is contradictory
+    for (let r = 0; r < work.length; r++) {
+      for (let c = 0; c < work.length; c++) {
+        if (work[r][c] === 0 && candidates[r][c].size === 0) {
+          return { solved: false, board: work, steps, stuck: false };
+        }
+      }
+    }
+
+    const step = findNextStep(work, candidates);
+    if (!step) return { solved: false, board: work, steps, stuck: true };
+    applyStep(work, candidates, step);
+    steps.push(step);
+  }
+
+  return { solved: validateBoard(work).length === 0, board: work, steps, stuck: false };
+}
+
+/* ========================================================
+   Difficulty grading
+   A puzzle's grade comes from the hardest technique the
+   logical solver needs, not from its clue count.
+   ======================================================== */
+
+/**
+ * Grades from easiest to hardest. `maxRank` is the highest technique
+ * rank (see LOGIC_TECHNIQUES) a puzzle of that grade may need; puzzles
+ * logic cannot finish at all fall into the last grade.
+ * `clues` is the clue target the generator starts from.
+ */
+const DIFFICULTY_GRADES = [
+  { key: 'easy', label: 'Easy', maxRank: 1, clues: 38 },
+  { key: 'medium', label: 'Medium', maxRank: 3, clues: 28 },
+  { key: 'hard', label: 'Hard', maxRank: Infinity, clues: 17 },
+];
+
+/**
+ * Clue targets per grade for variant puzzles. The logical solver only
+ * knows classic techniques, so variants are graded by clue count.
+ */
+const VARIANT_CLUES = {
+  easy: { standard: 36, killer: 24 },
+  medium: { standard: 30, killer: 12 },
+  hard: { standard: 24, killer: 0 },
+};
+
+/** Name used for puzzles the logical solver cannot finish. */
+const TRIAL_AND_ERROR = 'Trial & Error';
+
+/**
+ * Grade a board by solving it logically.
+ *
+ * Returns {
+ *   key, label,          — grade from DIFFICULTY_GRADES
+ *   hardestTechnique,    — technique name, or TRIAL_AND_ERROR
+ *   rank,                — rank of that technique (Infinity if logic gets stuck)
+ *   steps,               — number of logical steps taken
+ *   score,               — sum of the ranks of all steps (finer ordering within a grade)
+ *   solvedByLogic,       — true if no guessing is needed
+ * }
+ */
+function gradePuzzle(board) {
+  const result = solveLogically(board);
+
+  let hardestTechnique = null;
+  let rank = 0;
+  let score = 0;
+  for (const step of result.steps) {
+    const r = LOGIC_TECHNIQUES.find(t => t.name === step.technique).rank;
+    score += r;
+    if (r > rank) {
+      rank = r;
+      hardestTechnique = step.technique;
+    }
+  }
+  if (!result.solved) {
+    rank = Infinity;
+    hardestTechnique = TRIAL_AND_ERROR;
+  }
+
+  const grade = DIFFICULTY_GRADES.find(g => rank <= g.maxRank);
+  return {
+    key: grade.key,
+    label: grade.label,
+    hardestTechnique,
+    rank,
+    steps: result.steps.length,
+    score,
+    solvedByLogic: result.solved,
+  };
+}
+
+/**
+ * Generate unique-solution puzzles until one grades as `difficulty`
+ * ('easy' | 'medium' | 'hard'). Gives up after `maxAttempts` and returns
+ * the attempt whose grade came closest.
+ *
+ * `onProgress` (optional) is called after each attempt with
+ * { attempts, backtracks, elapsedMs }.
+ *
+ * Variant puzzles (`variant` other than 'classic') take a single attempt
+ * at the VARIANT_CLUES target; their grade carries the variant's name
+ * instead of a technique. Other grid sizes (`size` other than 9) also
+ * take a single attempt, at the grade's clue target scaled to the board
+ * area, and their grade carries the size (e.g. '16x16').
+ *
+ * All attempts draw from one generator seeded with `seed`, so the same
+ * seed, difficulty, variant and size always give the same puzzle.
+ *
+ * Returns { puzzle, solution, clues, cages, grade, attempts, seed, stats }
+ * where stats sums backtracks and elapsed time over all attempts.
+ */
+function generateGradedPuzzle(difficulty = 'medium', maxAttempts = 50, onProgress, variant = 'classic', size = 9, seed = randomSeed()) {
+  const rng = createRng(seed);
+  const targetIdx = Math.max(0, DIFFICULTY_GRADES.findIndex(g => g.key === difficulty));
+  const target = DIFFICULTY_GRADES[targetIdx];
+  const totals = { backtracks: 0, elapsedMs: 0 };
+  const startTime = clock.now();
+
+  const isVariant = VARIANTS[variant] && variant !== 'classic';
+  if (isVariant || size !== 9) {
+    const generated = isVariant
+      ? generatePuzzle(VARIANT_CLUES[target.key][VARIANTS[variant].cages ? 'killer' : 'standard'], variant, 9, rng)
+      : generatePuzzle(Math.round((target.clues * size * size) / 81), 'classic', size, rng);
+    const grade = {
+      key: target.key,
+      label: target.label,
+      hardestTechnique: null,
+      rank: 0,
+      steps: 0,
+      score: 0,
+      solvedByLogic: false,
+      variant: isVariant ? VARIANTS[variant].name : `${size}x${size}`,
+    };
+    totals.backtracks = generated.stats.backtracks;
+    totals.elapsedMs = clock.now() - startTime;
+    return { ...generated, grade, attempts: 1, seed, stats: { ...generated.stats, ...totals } };
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+    const generated = generatePuzzle(target.clues, 'classic', 9, rng);
+    totals.backtracks += generated.stats.backtracks;
+
+    const grade = gradePuzzle(generated.puzzle);
+    const distance = Math.abs(DIFFICULTY_GRADES.findIndex(g => g.key === grade.key) - targetIdx);
+    if (distance < bestDistance) {
+      best = { ...generated, grade };
+      bestDistance = distance;
+    }
+    if (distance === 0) break;
+    if (onProgress) {
+      onProgress({ attempts, backtracks: totals.backtracks, elapsedMs: clock.now() - startTime });
+    }
+  }
+
+  totals.elapsedMs = clock.now() - startTime;
+  return { ...best, attempts, seed, stats: { ...best.stats, ...totals } };
+}
+
+/* ========================================================
+   Hints
+   ======================================================== */
+
+/**
+ * Work out the next hint for a board in play.
+ * `solution` (optional) is the known solution — player entries that
+ * disagree with it are reported before anything else.
+ *
+ * The hint targets the next digit logic can place. Elimination steps
+ * needed first are included, and the hardest technique among them is
+ * what the player is told to look for. If logic is stuck, the empty cell
+ * with the fewest candidates is revealed from `solution` instead.
+ *
+ * Returns one of:
+ *   { kind: 'mistake',  cell, units, value }            — wrong entry, value = correct digit
+ *   { kind: 'logic',    technique, cells, units, placement, steps }
+ *   { kind: 'reveal',   technique: TRIAL_AND_ERROR, cells, units, placement }
+ *   null — board complete, contradictory, or no way forward
+ */
+function findHint(board, solution = null) {
+  const size = board.length;
+  const unitsOf = (r, c) => getUnits(size)
+    .filter(u => u.cells.some(([ur, uc]) => ur === r && uc === c))
+    .map(u => ({ type: u.type, index: u.index }));
+
+  if (solution) {
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (board[r][c] !== 0 && board[r][c] !== solution[r][c]) {
+          return { kind: 'mistake', cell: { row: r, col: c }, units: unitsOf(r, c), value: solution[r][c] };
+        }
+      }
+    }
+  }
+
+  if (isBoardComplete(board) || validateBoard(board).length > 0) return null;
+
+  // Follow the logical trace up to its first placement
+  const work = cloneBoard(board);
+  const candidates = computeCandidates(work);
+  const steps = [];
+  let step;
+  while ((step = findNextStep(work, candidates))) {
+    steps.push(step);
+    if (step.placements.length > 0) {
+      const hardest = steps.reduce((a, b) =>
+        LOGIC_TECHNIQUES.find(t => t.name === b.technique).rank >
+          LOGIC_TECHNIQUES.find(t => t.name === a.technique).rank ? b : a);
+      const placement = step.placements[0];
+      return {
+        kind: 'logic',
+        technique: hardest.technique,
+        cells: hardest.cells,
+        units: step.units.length > 0 ? step.units : unitsOf(placement.row, placement.col),
+        placement,
+        steps,
+      };
+    }
+    applyStep(work, candidates, step);
+  }
+
+  if (!solution) return null;
+
+  // Logic is stuck — reveal the most constrained empty cell
+  let best = null;
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (board[r][c] === 0 && (!best || candidates[r][c].size < candidates[best.row][best.col].size)) {
+        best = { row: r, col: c };
+      }
+    }
+  }
+  return {
+    kind: 'reveal',
+    technique: TRIAL_AND_ERROR,
+    cells: [best],
+    units: unitsOf(best.row, best.col),
+    placement: { ...best, value: solution[best.row][best.col] },
+  };
+}
+
+/* ========================================================
+   Solution analysis
+   Proves whether a board has no, one or several solutions,
+   with evidence a player can check: the contradiction that
+   rules every solution out, or two solutions that differ.
+   ======================================================== */
+
+/**
+ * Look for a contradiction in a pencil-mark grid: an empty cell with
+ * no candidates left, or a digit with no place left in a unit that
+ * still needs it.
+ *
+ * Returns { kind: 'cell' | 'digit', cells, unit, value, description }
+ * where `cells` are the cells to point at ({ row, col }), `unit` the
+ * unit with the missing digit ({ type, index }, 'digit' only), or null.
+ */
+function findContradiction(board, candidates) {
+  const size = board.length;
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (board[r][c] === 0 && candidates[r][c].size === 0) {
+        return {
+          kind: 'cell',
+          cells: [{ row: r, col: c }],
+          unit: null,
+          value: null,
+          description: `${cellName(r, c)} has no candidates left`,
+        };
+      }
+    }
+  }
+  for (const unit of getUnits(size)) {
+    for (let num = 1; num <= size; num++) {
+      if (unit.cells.some(([r, c]) => board[r][c] === num)) continue;
+      if (cellsWithCandidate(unit, candidates, num).length > 0) continue;
+      return {
+        kind: 'digit',
+        cells: unit.cells.map(([row, col]) => ({ row, col })),
+        unit: { type: unit.type, index: unit.index },
+        value: num,
+        description: `${digitSymbol(num)} has no place left in ${unitName(unit)}`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply logical steps until a contradiction shows up or logic is stuck.
+ * The techniques only know classic rules, so with variant `constraints`
+ * just the starting candidates are checked.
+ *
+ * Returns { contradiction, steps, board, candidates } — the state where
+ * it stopped.
+ */
+function deduceUntilContradiction(board, constraints = null) {
+  const work = cloneBoard(board);
+  const candidates = computeCandidates(work, constraints);
+  const steps = [];
+  for (;;) {
+    const contradiction = findContradiction(work, candidates);
+    if (contradiction || constraints || isBoardComplete(work)) {
+      return { contradiction, steps, board: work, candidates };
+    }
+    const step = findNextStep(work, candidates);
+    if (!step) return { contradiction: null, steps, board: work, candidates };
+    applyStep(work, candidates, step);
+    steps.push(step);
+  }
+}
+
+/**
+ * Prove how many solutions a board has. `maxNodes` caps the search as
+ * in findSolutions().
+ *
+ * When logic alone cannot reach a contradiction, the board is split on
+ * the cell with the fewest candidates and each option is followed with
+ * logic again; options it cannot settle have a null contradiction (the
+ * search has still ruled them out).
+ *
+ * Returns one of:
+ *   { verdict: 'conflict', conflicts }                      — breaks the rules as it stands
+ *   { verdict: 'none', contradiction, steps, branch }       — no solution; `steps` lead to the
+ *                                                             contradiction, or `branch` is
+ *                                                             { cell, options: [{ value, contradiction, steps }] }
+ *   { verdict: 'unique', solution }
+ *   { verdict: 'multiple', solutions: [a, b], differences } — cells ({ row, col }) where a and b differ
+ *   { verdict: 'unknown' }                                  — the search ran out of budget
+ */
+function analyzeBoard(board, constraints = null, maxNodes = Infinity) {
+  const conflicts = validateBoard(board, constraints);
+  if (conflicts.length > 0) return { verdict: 'conflict', conflicts };
+
+  const solutions = findSolutions(board, 2, constraints, maxNodes);
+  if (solutions.length === 2) {
+    const [a, b] = solutions;
+    const differences = [];
+    a.forEach((row, r) => row.forEach((v, c) => {
+      if (v !== b[r][c]) differences.push({ row: r, col: c });
+    }));
+    return { verdict: 'multiple', solutions, differences };
+  }
+  if (solutions.incomplete) return { verdict: 'unknown' };
+  if (solutions.length === 1) return { verdict: 'unique', solution: solutions[0] };
+
+  const deduced = deduceUntilContradiction(board, constraints);
+  if (deduced.contradiction) {
+    return { verdict: 'none', contradiction: deduced.contradiction, steps: deduced.steps, branch: null };
+  }
+
+  // Logic is stuck — split on the most constrained cell
+  let row = -1, col = -1;
+  deduced.board.forEach((cells, r) => cells.forEach((v, c) => {
+    if (v === 0 && (row < 0 || deduced.candidates[r][c].size < deduced.candidates[row][col].size)) {
+      row = r;
+      col = c;
+    }
+  }));
+  const options = [...deduced.candidates[row][col]].sort((x, y) => x - y).map((value) => {
+    const trial = cloneBoard(deduced.board);
+    trial[row][col] = value;
+    const result = deduceUntilContradiction(trial, constraints);
+    return { value, contradiction: result.contradiction, steps: result.steps.length };
+  });
+  return { verdict: 'none', contradiction: null, steps: deduced.steps, branch: { cell: { row, col }, options } };
+}
+
+/* ========================================================
+   Heatmap data
+   Per-cell numbers the page can color cells by besides
+   their digit. Candidate counts come from computeCandidates.
+   ======================================================== */
+
+/**
+ * For every filled cell, how many of its peers hold the same digit —
+ * row, column and box, plus variant peers under `constraints`.
+ * Empty cells count 0.
+ */
+function conflictCounts(board, constraints = null) {
+  const size = board.length;
+  return board.map((row, r) => row.map((val, c) => {
+    if (val === 0) return 0;
+    const box = boxIndexOf(size, r, c);
+    let count = 0;
+    for (let r2 = 0; r2 < size; r2++) {
+      for (let c2 = 0; c2 < size; c2++) {
+        if ((r2 === r && c2 === c) || board[r2][c2] !== val) continue;
+        if (r2 === r || c2 === c || boxIndexOf(size, r2, c2) === box) count++;
+      }
+    }
+    if (constraints) {
+      for (const [r2, c2] of constraints.peers[r * 9 + c]) {
+        if (board[r2][c2] === val) count++;
+      }
+    }
+    return count;
+  }));
+}
+
+/**
+ * The order a fewest-candidates-first search fills in `solution`:
+ * each step places the empty cell with the fewest legal digits
+ * (ties in reading order), so forced cells come before guesses.
+ *
+ * Returns a grid holding each empty cell's step number (1 = first)
+ * and 0 for cells `board` already filled.
+ */
+function placementOrder(board, solution, constraints = null) {
+  const work = cloneBoard(board);
+  const size = work.length;
+  const order = work.map(row => row.map(() => 0));
+
+  for (let step = 1; ; step++) {
+    let best = null, bestCount = Infinity;
+    for (let r = 0; r < size && bestCount > 1; r++) {
+      for (let c = 0; c < size && bestCount > 1; c++) {
+        if (work[r][c] !== 0) continue;
+        let count = 0;
+        for (let num = 1; num <= size; num++) {
+          if (isValidPlacement(work, r, c, num, constraints)) count++;
+        }
+        if (count < bestCount) {
+          best = [r, c];
+          bestCount = count;
+        }
+      }
+    }
+    if (!best) return order;
+    const [r, c] = best;
+    work[r][c] = solution[r][c];
+    order[r][c] = step;
+  }
+}
+
+/* ========================================================
+   Import / export
+   Text formats understood by parsePuzzles():
+     - 81-character strings, '.' or '0' for blanks
+     - .sdk (9 lines of 9 cells, '#' comment lines allowed)
+     - .sdm (one 81-character puzzle per line)
+     - pasted grids with separators such as | - + = and spaces
+   Other sizes work the same way with 16, 36, 144 or 256
+   cells; digits above 9 are written A-G.
+   ======================================================== */
+
+/** Characters that only decorate a pasted grid and are skipped. */
+const GRID_SEPARATORS = /[\s|+\-=:;,\u2500-\u257f]/;
+
+/** Cell counts of the supported sizes (16, 36, 81, 144, 256). */
+const CELL_COUNTS = GRID_SIZES.map(size => size * size);
+
+/**
+ * Read every cell of one puzzle from a block of text. The board size
+ * follows from the number of cells.
+ * Throws an Error naming the first bad character or the wrong count.
+ */
+function parseCells(text, firstLine = 1) {
+  const cells = [];
+  const where = [];
+  const lines = text.split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (line.trim().startsWith('#')) return; // .sdk comment
+    for (let col = 0; col < line.length; col++) {
+      const ch = line[col];
+      if (symbolValue(ch) > 0) {
+        cells.push(symbolValue(ch));
+        where.push(`line ${firstLine + i}, column ${col + 1}`);
+      } else if (ch === '.' || ch === '0') {
+        cells.push(0);
+        where.push(null);
+      } else if (!GRID_SEPARATORS.test(ch)) {
+        throw new Error(`Unexpected character "${ch}" at line ${firstLine + i}, column ${col + 1}.`);
+      }
+    }
+  });
+  if (!CELL_COUNTS.includes(cells.length)) {
+    const where = lines.length === 1 ? ` on line ${firstLine}` : '';
+    throw new Error(`Expected 81 cells (or 16, 36, 144 or 256 for other grid sizes) but found ${cells.length}${where}.`);
+  }
+  const size = Math.sqrt(cells.length);
+  const tooBig = cells.findIndex(v => v > size);
+  if (tooBig >= 0) {
+    throw new Error(`Digit "${digitSymbol(cells[tooBig])}" at ${where[tooBig]} is too large for a ${size}x${size} grid.`);
+  }
+  const board = [];
+  for (let r = 0; r < size; r++) board.push(cells.slice(r * size, r * size + size));
+  return board;
+}
+
+/**
+ * Parse one or more puzzles from text. Text whose lines are mostly
+ * whole-puzzle strings (81 cells, or 16/36/144/256) is read as a puzzle
+ * list (.sdm), one puzzle per line; anything else is read as a single grid.
+ *
+ * Returns an array of boards; throws an Error on malformed input, naming
+ * the line of a bad puzzle in a list.
+ */
+function parsePuzzles(text) {
+  const lines = text.split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line !== '' && !line.startsWith('#'));
+  if (lines.length === 0) throw new Error('No puzzle found — the input is empty.');
+
+  const isPuzzleLine = line => /^[0-9A-Ga-g.]+$/.test(line) && CELL_COUNTS.includes(line.length);
+  // 16 lines of 16 cells is a 16x16 .sdk grid, not sixteen 4x4 puzzles;
+  // 81 lines of 81 cells are 81 puzzles
+  const isSquareGrid = GRID_SIZES.includes(lines.length) && lines.every(({ line }) => line.length === lines.length);
+  // A list with a few broken lines is still a list, so the error can
+  // point at the broken line
+  const puzzleLines = lines.filter(({ line }) => isPuzzleLine(line)).length;
+  if (lines.length > 1 && !isSquareGrid && puzzleLines > lines.length / 2) {
+    return lines.map(({ line, number }) => parseCells(line, number));
+  }
+  return [parseCells(text)];
+}
+
+/**
+ * Board as an 81-character string (size² for other sizes), row by row,
+ * `blank` for empty cells.
+ */
+function boardToString(board, blank = '.') {
+  return board.flat().map(v => (v === 0 ? blank : digitSymbol(v))).join('');
+}
+
+/**
+ * Board in .sdk layout — 9 lines of 9 cells, '.' for empty cells.
+ */
+function boardToSdk(board) {
+  return board.map(row => row.map(v => (v === 0 ? '.' : digitSymbol(v))).join('')).join('\n') + '\n';
+}
+
+/** Escape text for SVG/HTML markup. */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * Board as a standalone, print-friendly SVG document.
+ *
+ * options (all optional):
+ *   title    — caption above the grid
+ *   cellSize — cell edge in px (default 40)
+ *   givens   — flag grid; given digits print bold black, the rest blue.
+ *              Without it every digit counts as given.
+ *   fills    — grid of cell background colors (null = white)
+ *   inks     — grid of digit colors, overriding the defaults
+ *   regions  — variant regions ([[row, col], ...] lists), shaded grey
+ *   cages    — Killer cages { cells, sum }, dashed with their sum
+ */
+function boardToSvg(board, options = {}) {
+  const { title = '', cellSize = 40, givens = null, fills = null, inks = null, regions = [], cages = [] } = options;
+  const size = board.length;
+  const { rows: boxRows, cols: boxCols } = boxShape(size);
+  const margin = 4;
+  const top = margin + (title ? cellSize * 0.7 : 0);
+  const grid = cellSize * size;
+  const width = grid + 2 * margin;
+  const height = top + grid + margin;
+  const font = 'Helvetica, Arial, sans-serif';
+  const left = c => margin + c * cellSize;
+  const upper = r => top + r * cellSize;
+  const parts = [`<rect width="${width}" height="${height}" fill="#fff"/>`];
+
+  if (title) {
+    parts.push(`<text x="${margin}" y="${top - cellSize * 0.2}" font-family="${font}" font-size="${cellSize * 0.36}" fill="#111">${escapeXml(title)}</text>`);
+  }
+
+  const shaded = new Set(regions.flat().map(([r, c]) => r * size + c));
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const fill = (fills && fills[r][c]) || (shaded.has(r * size + c) ? '#e6e6ee' : null);
+      if (fill) parts.push(`<rect x="${left(c)}" y="${upper(r)}" width="${cellSize}" height="${cellSize}" fill="${fill}"/>`);
+    }
+  }
+
+  // Cage outlines sit inset from the cell edges and join up between
+  // neighbouring cells of the same cage.
+  const inset = cellSize * 0.1;
+  const cageOf = new Map();
+  cages.forEach((cage, i) => cage.cells.forEach(([r, c]) => cageOf.set(r * size + c, i)));
+  const inCage = (r, c, i) => r >= 0 && r < size && c >= 0 && c < size && cageOf.get(r * size + c) === i;
+  cages.forEach((cage, i) => {
+    for (const [r, c] of cage.cells) {
+      const x0 = inCage(r, c - 1, i) ? left(c) : left(c) + inset;
+      const x1 = inCage(r, c + 1, i) ? left(c + 1) : left(c + 1) - inset;
+      const y0 = inCage(r - 1, c, i) ? upper(r) : upper(r) + inset;
+      const y1 = inCage(r + 1, c, i) ? upper(r + 1) : upper(r + 1) - inset;
+      const edges = [];
+      if (!inCage(r - 1, c, i)) edges.push([x0, y0, x1, y0]);
+      if (!inCage(r + 1, c, i)) edges.push([x0, y1, x1, y1]);
+      if (!inCage(r, c - 1, i)) edges.push([x0, y0, x0, y1]);
+      if (!inCage(r, c + 1, i)) edges.push([x1, y0, x1, y1]);
+      for (const [ax, ay, bx, by] of edges) {
+        parts.push(`<line x1="${ax}" y1="${ay}" x2="${bx}" y2="${by}" stroke="#555" stroke-width="1" stroke-dasharray="3 2"/>`);
+      }
+    }
+    const [r, c] = [...cage.cells].sort((a, b) => a[0] - b[0] || a[1] - b[1])[0];
+    parts.push(`<text x="${left(c) + inset * 1.4}" y="${upper(r) + inset + cellSize * 0.22}" font-family="${font}" font-size="${cellSize * 0.22}" fill="#111">${cage.sum}</text>`);
+  });
+
+  for (let i = 0; i <= size; i++) {
+    const rowEdge = i % boxRows === 0;
+    const colEdge = i % boxCols === 0;
+    parts.push(`<line x1="${left(0)}" y1="${upper(i)}" x2="${left(size)}" y2="${upper(i)}" stroke="${rowEdge ? '#111' : '#999'}" stroke-width="${rowEdge ? 2.5 : 1}"/>`);
+    parts.push(`<line x1="${left(i)}" y1="${upper(0)}" x2="${left(i)}" y2="${upper(size)}" stroke="${colEdge ? '#111' : '#999'}" stroke-width="${colEdge ? 2.5 : 1}"/>`);
+  }
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (board[r][c] === 0) continue;
+      const given = !givens || givens[r][c];
+      const ink = (inks && inks[r][c]) || (given ? '#111' : '#2f4a9e');
+      parts.push(`<text x="${left(c) + cellSize / 2}" y="${upper(r) + cellSize / 2}" text-anchor="middle" dominant-baseline="central" font-family="${font}" font-size="${cellSize * 0.58}" font-weight="${given ? 700 : 400}" fill="${ink}">${digitSymbol(board[r][c])}</text>`);
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+/* ========================================================
+   Solver strategies
+   Interchangeable search algorithms behind one interface:
+     solve(board, onProgress, constraints)
+       → { solved, nodes, backtracks, elapsedMs, order }
+   Each fills `board` in place like solveBoardWithStats and
+   stops at MAX_BACKTRACKS / MAX_TIME_MS. The board must be
+   free of conflicts (check with validateBoard first). Only
+   strategies marked `variants: true` honour `constraints`.
+   ======================================================== */
+
+/** Candidate mask with bits 1..size set (0x3fe for 9x9). */
+function digitsMask(size) {
+  return (1 << (size + 1)) - 2;
+}
+
+/** Number of set bits for every 17-bit candidate mask (up to 16x16). */
+const BIT_COUNT = (() => {
+  const counts = new Uint8Array(1 << 17);
+  for (let m = 1; m < counts.length; m++) counts[m] = counts[m >> 1] + (m & 1);
+  return counts;
+})();
+
+/**
+ * Shared bookkeeping for the strategies: counts nodes and backtracks,
+ * enforces the safety limits, reports progress and records the
+ * placement order like solveBoardWithStats does. Create it before the
+ * search touches `board`, so the clues are told apart from the blanks.
+ */
+function createSearchCounter(onProgress, board) {
+  const startTime = clock.now();
+  let lastProgress = startTime;
+  let aborted = false;
+  const stats = { solved: false, nodes: 0, backtracks: 0, elapsedMs: 0, order: null };
+  const log = createPlacementLog(board);
+
+  return {
+    stats,
+    // Record that the search put a digit in (r, c)
+    place(r, c) {
+      log.place(r, c);
+    },
+    // Count a backtrack; returns true once a limit is hit and the search must stop
+    backtrack() {
+      if (aborted) return true;
+      stats.backtracks++;
+      const now = clock.now();
+      if (stats.backtracks >= MAX_BACKTRACKS || now - startTime > MAX_TIME_MS) {
+        aborted = true;
+        return true;
+      }
+      if (onProgress && now - lastProgress >= PROGRESS_INTERVAL_MS) {
+        lastProgress = now;
+        onProgress({ backtracks: stats.backtracks, elapsedMs: now - startTime });
+      }
+      return false;
+    },
+    finish(solved) {
+      stats.solved = solved;
+      stats.elapsedMs = clock.now() - startTime;
+      if (solved) stats.order = log.order();
+      return stats;
+    },
+  };
+}
+
+/**
+ * Backtracking that always branches on the empty cell with the fewest
+ * candidates (minimum remaining values). Candidates are kept as
+ * bitmasks per row, column and box, so checking a digit is one AND.
+ */
+function solveWithMrv(board, onProgress) {
+  const counter = createSearchCounter(onProgress, board);
+  const size = board.length;
+  const allDigits = digitsMask(size);
+  const rows = new Uint32Array(size), cols = new Uint32Array(size), boxes = new Uint32Array(size);
+  const empty = [];
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const bit = 1 << board[r][c];
+      if (board[r][c] === 0) {
+        empty.push(r * size + c);
+      } else {
+        rows[r] |= bit; cols[c] |= bit; boxes[boxIndexOf(size, r, c)] |= bit;
+      }
+    }
+  }
+
+  // `remaining` cells at the front of `empty` are still unfilled
+  function search(remaining) {
+    if (remaining === 0) return true;
+
+    let bestIdx = -1, bestMask = 0, bestCount = size + 1;
+    for (let i = 0; i < remaining; i++) {
+      const cell = empty[i];
+      const r = Math.floor(cell / size), c = cell % size;
+      const mask = allDigits & ~(rows[r] | cols[c] | boxes[boxIndexOf(size, r, c)]);
+      if (BIT_COUNT[mask] < bestCount) {
+        bestIdx = i; bestMask = mask; bestCount = BIT_COUNT[mask];
+        if (bestCount <= 1) break;
+      }
+    }
+    if (bestCount === 0) return false;
+
+    // Move the chosen cell out of the unfilled part of the list
+    const cell = empty[bestIdx];
+    empty[bestIdx] = empty[remaining - 1];
+    empty[remaining - 1] = cell;
+    const r = Math.floor(cell / size), c = cell % size, b = boxIndexOf(size, r, c);
+
+    for (let num = 1; num <= size; num++) {
+      const bit = 1 << num;
+      if (!(bestMask & bit)) continue;
+      board[r][c] = num;
+      rows[r] |= bit; cols[c] |= bit; boxes[b] |= bit;
+      counter.place(r, c);
+      counter.stats.nodes++;
+      if (search(remaining - 1)) return true;
+      rows[r] &= ~bit; cols[c] &= ~bit; boxes[b] &= ~bit;
+      board[r][c] = 0;
+      if (counter.backtrack()) return false;
+    }
+    return false;
+  }
+
+  return counter.finish(search(empty.length));
+}
+
+/**
+ * Knuth's Algorithm X on a Dancing Links exact-cover matrix.
+ * 4·size² columns (324 for 9x9: cell filled, digit in row, digit in
+ * column, digit in box); one matrix row per legal (cell, digit)
+ * placement. Columns the clues already satisfy are left out, so the
+ * clues need no covering.
+ */
+function solveWithDancingLinks(board, onProgress) {
+  const counter = createSearchCounter(onProgress, board);
+  const n = board.length, area = n * n;
+  const columns = 4 * area;
+  const satisfied = new Uint8Array(columns + 1);
+  const constraintColumns = (r, c, d) => [
+    1 + r * n + c,
+    1 + area + r * n + d,
+    1 + 2 * area + c * n + d,
+    1 + 3 * area + boxIndexOf(n, r, c) * n + d,
+  ];
+
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (board[r][c] !== 0) {
+        for (const col of constraintColumns(r, c, board[r][c] - 1)) satisfied[col] = 1;
+      }
+    }
+  }
+
+  // Node 0 is the root, then the column headers, then 4 nodes per matrix row
+  const size = 1 + columns + area * n * 4;
+  const L = new Int32Array(size), R = new Int32Array(size);
+  const U = new Int32Array(size), D = new Int32Array(size);
+  const C = new Int32Array(size), S = new Int32Array(columns + 1);
+  const placement = new Int32Array(size); // node → (r * n + c) * n + d
+
+  L[0] = 0; R[0] = 0;
+  for (let col = 1; col <= columns; col++) {
+    U[col] = D[col] = C[col] = col;
+    if (satisfied[col]) continue;
+    L[col] = L[0]; R[col] = 0; R[L[0]] = col; L[0] = col;
+  }
+
+  let next = columns + 1;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (board[r][c] !== 0) continue;
+      for (let d = 0; d < n; d++) {
+        const cols = constraintColumns(r, c, d);
+        if (cols.some(col => satisfied[col])) continue; // clashes with a clue
+        const first = next;
+        for (const col of cols) {
+          const node = next++;
+          C[node] = col;
+          placement[node] = (r * n + c) * n + d;
+          U[node] = U[col]; D[node] = col; D[U[col]] = node; U[col] = node;
+          S[col]++;
+          L[node] = node === first ? node : node - 1;
+          R[node] = first;
+          R[L[node]] = node;
+          L[first] = node;
+        }
+      }
+    }
+  }
+
+  function cover(col) {
+    R[L[col]] = R[col]; L[R[col]] = L[col];
+    for (let i = D[col]; i !== col; i = D[i]) {
+      for (let j = R[i]; j !== i; j = R[j]) {
+        U[D[j]] = U[j]; D[U[j]] = D[j]; S[C[j]]--;
+      }
+    }
+  }
+
+  function uncover(col) {
+    for (let i = U[col]; i !== col; i = U[i]) {
+      for (let j = L[i]; j !== i; j = L[j]) {
+        S[C[j]]++; U[D[j]] = j; D[U[j]] = j;
+      }
+    }
+    R[L[col]] = col; L[R[col]] = col;
+  }
+
+  const chosen = [];
+  function search() {
+    if (R[0] === 0) return true; // every constraint covered
+
+    // Branch on the column with the fewest rows
+    let col = R[0];
+    for (let j = R[col]; j !== 0; j = R[j]) if (S[j] < S[col]) col = j;
+    if (S[col] === 0) return false;
+
+    cover(col);
+    for (let i = D[col]; i !== col; i = D[i]) {
+      chosen.push(placement[i]);
+      counter.place(Math.floor(placement[i] / area), Math.floor(placement[i] / n) % n);
+      counter.stats.nodes++;
+      for (let j = R[i]; j !== i; j = R[j]) cover(C[j]);
+      if (search()) return true;
+      for (let j = L[i]; j !== i; j = L[j]) uncover(C[j]);
+      chosen.pop();
+      if (counter.backtrack()) return false;
+    }
+    uncover(col);
+    return false;
+  }
+
+  const solved = search();
+  if (solved) {
+    for (const p of chosen) {
+      board[Math.floor(p / area)][Math.floor(p / n) % n] = (p % n) + 1;
+    }
+  }
+  return counter.finish(solved);
+}
+
+const cellTableCache = {};
+
+/**
+ * Cell indices (0-80 on 9x9) of each cell's three units and of its
+ * peers (20 on 9x9), as { units, peers }. Built once per size.
+ */
+function cellTables(size = 9) {
+  if (cellTableCache[size]) return cellTableCache[size];
+  const units = Array.from({ length: size * size }, (_, i) =>
+    getUnits(size).filter(unit => unit.cells.some(([r, c]) => r * size + c === i))
+      .map(unit => unit.cells.map(([r, c]) => r * size + c)));
+  const peers = units.map((cellUnits, i) =>
+    [...new Set(cellUnits.flat())].filter(j => j !== i));
+  cellTableCache[size] = { units, peers };
+  return cellTableCache[size];
+}
+
+/**
+ * Constraint propagation plus search. After every assignment, digits
+ * are eliminated from peers; a cell down to one candidate is assigned
+ * and a digit with one place left in a unit goes there. Search only
+ * branches (fewest candidates first) when propagation stalls.
+ */
+function solveWithPropagation(board, onProgress) {
+  const counter = createSearchCounter(onProgress, board);
+  const size = board.length, area = size * size;
+  const { units: cellUnits, peers: cellPeers } = cellTables(size);
+
+  // Returns false on a contradiction
+  function assign(cands, cell, num) {
+    const others = cands[cell] & ~(1 << num);
+    for (let d = 1; d <= size; d++) {
+      if ((others & (1 << d)) && !eliminate(cands, cell, d)) return false;
+    }
+    return true;
+  }
+
+  function eliminate(cands, cell, num) {
+    const bit = 1 << num;
+    if (!(cands[cell] & bit)) return true; // already gone
+    cands[cell] &= ~bit;
+    if (cands[cell] === 0) return false; // no candidates left
+
+    // Down to one candidate — the cell is placed; remove it from the peers
+    if (BIT_COUNT[cands[cell]] === 1) {
+      counter.place(Math.floor(cell / size), cell % size);
+      const last = 31 - Math.clz32(cands[cell]);
+      for (const peer of cellPeers[cell]) {
+        if (!eliminate(cands, peer, last)) return false;
+      }
+    }
+
+    // A unit with one place left for `num` must put it there
+    for (const unit of cellUnits[cell]) {
+      const places = unit.filter(j => cands[j] & bit);
+      if (places.length === 0) return false;
+      if (places.length === 1 && BIT_COUNT[cands[places[0]]] > 1) {
+        if (!assign(cands, places[0], num)) return false;
+      }
+    }
+    return true;
+  }
+
+  function search(cands) {
+    let best = -1;
+    for (let i = 0; i < area; i++) {
+      if (BIT_COUNT[cands[i]] > 1 && (best < 0 || BIT_COUNT[cands[i]] < BIT_COUNT[cands[best]])) {
+        best = i;
+      }
+    }
+    if (best < 0) return cands; // every cell decided
+
+    for (let num = 1; num <= size; num++) {
+      if (!(cands[best] & (1 << num))) continue;
+      const copy = cands.slice();
+      counter.stats.nodes++;
+      if (assign(copy, best, num)) {
+        const result = search(copy);
+        if (result) return result;
+      }
+      if (counter.backtrack()) return null;
+    }
+    return null;
+  }
+
+  const start = new Uint32Array(area).fill(digitsMask(size));
+  let consistent = true;
+  for (let i = 0; i < area && consistent; i++) {
+    const val = board[Math.floor(i / size)][i % size];
+    if (val !== 0) consistent = assign(start, i, val);
+  }
+
+  const result = consistent ? search(start) : null;
+  if (result) {
+    for (let i = 0; i < area; i++) {
+      board[Math.floor(i / size)][i % size] = 31 - Math.clz32(result[i]);
+    }
+  }
+  return counter.finish(!!result);
+}
+
+/**
+ * The available strategies, keyed by the id the UI and worker use.
+ */
+const SOLVER_STRATEGIES = {
+  backtracking: {
+    name: 'Backtracking',
+    description: 'Cells in reading order, candidates in random order',
+    variants: true,
+    solve: (board, onProgress, constraints) =>
+      solveBoardWithStats(board, buildCandidateCube(board.length), onProgress, constraints),
+  },
+  mrv: {
+    name: 'MRV + bitmasks',
+    description: 'Fewest-candidates cell first, bitmask candidate checks',
+    variants: false,
+    solve: solveWithMrv,
+  },
+  dlx: {
+    name: 'Dancing Links',
+    description: "Knuth's Algorithm X on an exact-cover matrix",
+    variants: false,
+    solve: solveWithDancingLinks,
+  },
+  propagation: {
+    name: 'Propagation + search',
+    description: 'Eliminate candidates and fill singles, branch only when stuck',
+    variants: false,
+    solve: solveWithPropagation,
+  },
+};
+
+/**
+ * Well-known hard puzzles for the benchmark panel.
+ */
+const BENCHMARK_PUZZLES = [
+  { name: 'AI Escargot', puzzle: '1....7.9..3..2...8..96..5....53..9...1..8...26....4...3......1..4......7..7...3..' },
+  { name: 'Easter Monster', puzzle: '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1' },
+  { name: '17 clues', puzzle: '.......1.4.........2...........5.4.7..8...3....1.9....3..4..2...5.1........8.6...' },
+  { name: 'Inkala 2012', puzzle: '8..........36......7..9.2...5...7.......457.....1...3...1....68..85...1..9....4..' },
+  { name: 'Anti-backtracking', puzzle: '..............3.85..1.2.......5.7.....4...1...9.......5......73..2.1........4...9' },
+];
+
+/**
+ * The strategy to use under `constraints` — strategies that only know
+ * classic rules fall back to backtracking for variants.
+ */
+function strategyFor(key, constraints = null) {
+  const strategy = SOLVER_STRATEGIES[key] || SOLVER_STRATEGIES.backtracking;
+  return constraints && !strategy.variants ? SOLVER_STRATEGIES.backtracking : strategy;
+}
+
+/**
+ * Run every strategy on every board and total the results.
+ * `onProgress` (optional) is called with { done, total, strategy } before
+ * each run. With variant `constraints`, only strategies that support
+ * them take part.
+ *
+ * Returns [{ key, name, solved, puzzles, nodes, backtracks, elapsedMs }]
+ * in SOLVER_STRATEGIES order.
+ */
+function benchmarkStrategies(boards, onProgress, constraints = null) {
+  const keys = Object.keys(SOLVER_STRATEGIES)
+    .filter(key => !constraints || SOLVER_STRATEGIES[key].variants);
+  const total = keys.length * boards.length;
+  let done = 0;
+
+  return keys.map((key) => {
+    const strategy = SOLVER_STRATEGIES[key];
+    const row = { key, name: strategy.name, solved: 0, puzzles: boards.length, nodes: 0, backtracks: 0, elapsedMs: 0 };
+    for (const board of boards) {
+      if (onProgress) onProgress({ done: done++, total, strategy: strategy.name });
+      const stats = strategy.solve(cloneBoard(board), undefined, constraints);
+      if (stats.solved) row.solved++;
+      row.nodes += stats.nodes;
+      row.backtracks += stats.backtracks;
+      row.elapsedMs += stats.elapsedMs;
+    }
+    return row;
+  });
+}
+
+/* ========================================================
+   Module exports
+   In the browser everything above is a global. Under Node
+   (or a bundler) the public API is exported instead;
+   logic.mjs re-exports it for ES module imports.
+   ======================================================== */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    // Grid geometry
+    BOX_SHAPES, GRID_SIZES, DIGIT_SYMBOLS,
+    boxShape, boxIndexOf, createEmptyBoard, digitSymbol, symbolValue,
+    // Validation
+    isValidPlacement, validateBoard, isBoardComplete, isBoardSolved,
+    // Random numbers
+    createRng, randomSeed,
+    // Variants
+    VARIANTS, createConstraints, satisfiesVariant, buildKillerCages,
+    // Solving and generation
+    MAX_BACKTRACKS, MAX_TIME_MS, UNIQUENESS_NODE_BUDGET,
+    shuffleArray, buildCandidateCube, solveBoardWithStats, findSolutions,
+    backtrackingSteps, countSolutions, hasUniqueSolution, solveBoard,
+    generateFullSolution, generatePuzzle, cloneBoard,
+    // Logical solver, grading and hints
+    LOGIC_TECHNIQUES, DIFFICULTY_GRADES, TRIAL_AND_ERROR,
+    computeCandidates, findNextStep, applyStep, solveLogically,
+    gradePuzzle, generateGradedPuzzle, findHint, cellName,
+    // Solution analysis
+    findContradiction, analyzeBoard,
+    // Heatmap data
+    conflictCounts, placementOrder,
+    // Import / export
+    parseCells, parsePuzzles, boardToString, boardToSdk, boardToSvg,
+    // Solver strategies
+    SOLVER_STRATEGIES, BENCHMARK_PUZZLES, strategyFor, benchmarkStrategies,
+  };
+}
@@ -0,0 +1,41 @@
+/* ========================================================
+   Sudoku Solver — ES Module Entry  |  logic.mjs
+   Re-exports logic.js for `import` under Node and bundlers:
+
+     import { parsePuzzles, solveBoard } from 'sudokuweb';
+
+   The page itself keeps loading logic.js with a script tag.
+   ======================================================== */
+
+import logic from './logic.js';
+
+export const {
+  // Grid geometry
+  BOX_SHAPES, GRID_SIZES, DIGIT_SYMBOLS,
+  boxShape, boxIndexOf, createEmptyBoard, digitSymbol, symbolValue,
+  // Validation
+  isValidPlacement, validateBoard, isBoardComplete, isBoardSolved,
+  // Random numbers
+  createRng, randomSeed,
+  // Variants
+  VARIANTS, createConstraints, satisfiesVariant, buildKillerCages,
+  // Solving and generation
+  MAX_BACKTRACKS, MAX_TIME_MS, UNIQUENESS_NODE_BUDGET,
+  shuffleArray, buildCandidateCube, solveBoardWithStats, findSolutions,
+  backtrackingSteps, countSolutions, hasUniqueSolution, solveBoard,
+  generateFullSolution, generatePuzzle, cloneBoard,
+  // Logical solver, grading and hints
+  LOGIC_TECHNIQUES, DIFFICULTY_GRADES, TRIAL_AND_ERROR,
+  computeCandidates, findNextStep, applyStep, solveLogically,
+  gradePuzzle, generateGradedPuzzle, findHint, cellName,
+  // Solution analysis
+  findContradiction, analyzeBoard,
+  // Heatmap data
+  conflictCounts, placementOrder,
+  // Import / export
+  parseCells, parsePuzzles, boardToString, boardToSdk, boardToSvg,
+  // Solver strategies
+  SOLVER_STRATEGIES, BENCHMARK_PUZZLES, strategyFor, benchmarkStrategies,
+} = logic;
+
+export default logic;
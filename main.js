@@ -2,15 +2,35 @@
    Sudoku Solver — Main Controller  |  main.js
    UI rendering, event handling, heatmap color palettes
    Enhanced with features from adars87/Sudoku (Java):
-     - Random puzzle generation with difficulty
+     - Random puzzle generation with graded difficulty
      - Solve statistics display
      - Board verification (already-solved detection)
      - Randomized candidate order in solver
+     - Background solving/generation (worker.js) with progress & cancel
+     - Pencil-mark notes (corner & center)
+     - Three-level hints (region → technique → digit)
+     - Undo/redo history
+     - Auto-saved games in localStorage (several at once)
+     - Import/export: 81-char strings, .sdk/.sdm files, share links
+     - Play mode: timer, mistake checking, completion screen
+     - Animated backtracking visualization with speed control
+     - Selectable solver strategies and a benchmark panel
+     - Variant rules: Diagonal, Windoku, Anti-Knight, Killer cages
+     - Grid sizes 4x4 to 16x16, letters A-G for digits above 9
+     - Photo import: puzzles read from images by ocr.js
+     - Seeded generation and a daily puzzle with streaks
+     - Solution analysis: contradictions and ambiguous puzzles
+     - Palette editor: custom gradients, colorblind-safe presets
+     - Heatmap modes: candidate counts, solve order, conflict density
+     - Keyboard shortcuts, grid semantics and screen-reader labels
+     - Touch number pad with remaining counts and same-digit highlights
+     - Printable puzzle sheets and SVG export, with answer keys
    ======================================================== */
 
 // ─── Color Palettes ─────────────────────────────────────
 // Each palette maps values 0–9 to a background color.
-// Index 0 = empty cell, 1–9 = digit colors.
+// Index 0 = empty cell, 1–9 = digit colors. Other grid sizes
+// stretch the digit colors to fit (see paletteColors).
 const COLOR_PALETTES = {
     ocean: {
         label: 'Ocean',
@@ -72,10 +92,55 @@ const COLOR_PALETTES = {
             '#d0d0e0',
         ],
     },
+    // Perceptually uniform and readable with red-green colorblindness
+    viridis: {
+        label: 'Viridis',
+        colors: [
+            '#1c1c36',
+            '#440154',
+            '#472d7b',
+            '#3b528b',
+            '#2c728e',
+            '#21918c',
+            '#28ae80',
+            '#5ec962',
+            '#addc30',
+            '#fde725',
+        ],
+    },
+    cividis: {
+        label: 'Cividis',
+        colors: [
+            '#1c1c36',
+            '#00224e',
+            '#123570',
+            '#3b496c',
+            '#575d6d',
+            '#707173',
+            '#8a8779',
+            '#a69d75',
+            '#c4b56c',
+            '#fee838',
+        ],
+    },
 };
 
 let activePalette = 'ocean';
 
+// ─── Heatmap Modes ──────────────────────────────────────
+// What a cell's color stands for. Every mode draws from the active
+// palette; `caption` explains the legend for modes other than digits.
+const HEATMAP_MODES = {
+    digits: { label: 'Digits', caption: null },
+    candidates: { label: 'Candidates', caption: 'Legal digits left in each empty cell' },
+    order: { label: 'Solve order', caption: 'When the solver placed each digit, first to last' },
+    conflicts: { label: 'Conflicts', caption: 'Peers holding the same digit' },
+};
+const DEAD_END_COLOR = '#ff4d6a'; // an empty cell with no legal digit
+const CONFLICT_LEVELS = 4;        // 4 or more clashing peers share a color
+
+let heatmapMode = 'digits';
+
 // ─── DOM ─────────────────────────────────────────────────
 const boardEl = document.getElementById('sudoku-board');
 const statusBar = document.getElementById('status-bar');
@@ -87,73 +152,245 @@ const btnSolve = document.getElementById('btn-solve');
 const btnClear = document.getElementById('btn-clear');
 const btnGenerate = document.getElementById('btn-generate');
 const btnVerify = document.getElementById('btn-verify');
+const btnCancel = document.getElementById('btn-cancel');
+const btnNotes = document.getElementById('btn-notes');
+const btnHint = document.getElementById('btn-hint');
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
+const btnNewGame = document.getElementById('btn-new-game');
+const savedGamesList = document.getElementById('saved-games');
+const ioOverlay = document.getElementById('io-overlay');
+const ioText = document.getElementById('io-text');
+const ioMessage = document.getElementById('io-message');
+const printOverlay = document.getElementById('print-overlay');
+const printMessage = document.getElementById('print-message');
+const btnPlayMode = document.getElementById('btn-play-mode');
+const btnMistakeCheck = document.getElementById('btn-mistake-check');
+const mistakeLimitSelect = document.getElementById('mistake-limit');
+const gameBar = document.getElementById('game-bar');
+const resultOverlay = document.getElementById('result-overlay');
+const btnVisualize = document.getElementById('btn-visualize');
+const vizBar = document.getElementById('viz-bar');
+const vizPlay = document.getElementById('viz-play');
+const vizSpeed = document.getElementById('viz-speed');
+const vizCounts = document.getElementById('viz-counts');
 let activeDifficulty = 'medium';
+let activeStrategy = 'backtracking'; // key into SOLVER_STRATEGIES
+
+// Grid size — part of each game; one of GRID_SIZES
+let boardSize = 9;
+
+// Variant rules — part of each game, like its givens
+let activeVariant = 'classic'; // key into VARIANTS
+let killerCages = [];          // [{ cells: [[r, c]], sum }] of a Killer puzzle
+let constraints = null;        // createConstraints(activeVariant, killerCages)
+const strategySelect = document.getElementById('solver-strategy');
+const benchOverlay = document.getElementById('bench-overlay');
+const benchMessage = document.getElementById('bench-message');
+const benchResults = document.getElementById('bench-results');
 const paletteContainer = document.getElementById('palette-options');
 const legendContainer = document.getElementById('heatmap-legend');
+const legendCaption = document.getElementById('heatmap-caption');
 const statsContainer = document.getElementById('stats-bar');
+const seedInput = document.getElementById('seed-input');
+const dailyRecordEl = document.getElementById('daily-record');
+const btnAnalyze = document.getElementById('btn-analyze');
+const analysisOverlay = document.getElementById('analysis-overlay');
 
 // Track which cells were user-inputted vs solved
-let userCells = Array.from({ length: 9 }, () => Array(9).fill(false));
+let userCells = createFlagGrid();
+
+// Clue cells of the current puzzle (generated or imported). Givens are
+// read-only; every other filled cell is a player entry or solver output.
+let givenCells = createFlagGrid();
 
 // Store the solution for a generated puzzle (for hint feature)
 let currentSolution = null;
 
+// Step at which the last solve placed each cell (0 = not placed by it),
+// for the solve-order heatmap
+let solveOrder = null;
+
+// Hints — number used this game, the hint being stepped through
+// ({ key, level, hint }), and a solve of a hand-entered board that is
+// reused while the player's entries still agree with it
+let hintsUsed = 0;
+let hintState = null;
+let hintSolution = null;
+
+// Play mode — game timer, optional instant mistake checking against
+// currentSolution with a mistake limit (0 = none), and a completion
+// screen once the player fills in the last cell
+let playMode = false;
+let instantCheck = false;
+let mistakeLimit = 0;
+let mistakes = 0;
+let timerInterval = null;
+
+// Solver visualization — replays backtrackingSteps() on the board.
+// `viz` is null when idle, else { steps, timer, playing, counts }.
+let viz = null;
+
+// Undo/redo — snapshots of the whole game (see captureState).
+// `presentState` is the snapshot of what is on screen right now.
+const HISTORY_LIMIT = 200;
+let undoStack = [];
+let redoStack = [];
+let presentState = null;
+
+// Saved games (localStorage) — every game lives in its own slot and the
+// active one is saved after each change. `gameLabel` names the game in
+// the saved games list ("Hard", "Custom", ...).
+const GAMES_KEY = 'sudokuweb.games';
+const PREFS_KEY = 'sudokuweb.prefs';
+const MAX_SAVED_GAMES = 20;
+let savedGames = { activeId: null, games: {} };
+let gameLabel = 'Custom';
+
+// Seed the current puzzle was generated from, and the date for a daily
+// puzzle (YYYY-MM-DD) — both null for typed-in or imported games
+let gameSeed = null;
+let dailyDate = null;
+
+// Play time for the active game — runs while the game is in progress,
+// paused while the tab is hidden or the board is complete
+let gameElapsedMs = 0;
+let gameClockStart = null;
+
+// Pencil marks — candidate notes per cell in two styles:
+// corner (each digit in its own slot of a mini-grid shaped like a
+// box) and center (a compact centered list). Only empty cells show notes.
+const NOTES_MODES = [null, 'corner', 'center'];
+let notesMode = null;
+let cellNotes = createEmptyNotes();
+
 // ─── Build Board ─────────────────────────────────────────
+function createFlagGrid(size = boardSize) {
+    return Array.from({ length: size }, () => Array(size).fill(false));
+}
+
 function buildBoard() {
+    const { rows, cols } = boxShape(boardSize);
+    const symbols = DIGIT_SYMBOLS.slice(0, boardSize);
     boardEl.innerHTML = '';
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
+    boardEl.dataset.size = boardSize;
+    boardEl.style.setProperty('--board-size', boardSize);
+    boardEl.style.setProperty('--board-scale', Math.min(1.5, 9 / boardSize));
+    boardEl.style.setProperty('--notes-cols', cols);
+    boardEl.style.setProperty('--notes-rows', rows);
+    boardEl.setAttribute('aria-label', `Sudoku board, ${boardSize} by ${boardSize}`);
+    for (let r = 0; r < boardSize; r++) {
+        // Rows only exist for screen readers — the cells stay on the CSS grid
+        const rowEl = document.createElement('div');
+        rowEl.className = 'board-row';
+        rowEl.setAttribute('role', 'row');
+        boardEl.appendChild(rowEl);
+
+        for (let c = 0; c < boardSize; c++) {
+            // Wrapper holds the input plus its notes overlay
+            const wrapper = document.createElement('div');
+            wrapper.className = 'cell-wrapper';
+            wrapper.setAttribute('role', 'gridcell');
+
+            const notes = document.createElement('div');
+            notes.className = 'cell-notes';
+            notes.id = `notes-${r}-${c}`;
+            notes.setAttribute('aria-hidden', 'true');
+
             const input = document.createElement('input');
             input.type = 'text';
-            input.inputMode = 'numeric';
+            input.inputMode = cellInputMode();
             input.maxLength = 1;
             input.className = 'sudoku-cell';
             input.id = `cell-${r}-${c}`;
-            input.setAttribute('aria-label', `Row ${r + 1}, Column ${c + 1}`);
+            input.tabIndex = r === 0 && c === 0 ? 0 : -1;
+            labelCell(input, r, c);
 
             // Subgrid borders
-            if (c === 2 || c === 5) input.classList.add('border-right-thick');
-            if (r === 2 || r === 5) input.classList.add('border-bottom-thick');
+            if (c % cols === cols - 1 && c < boardSize - 1) input.classList.add('border-right-thick');
+            if (r % rows === rows - 1 && r < boardSize - 1) input.classList.add('border-bottom-thick');
 
-            // Input handler — only allow 1-9
+            // Input handler — only allow the board's digits (1-9, then A-G)
             input.addEventListener('input', (e) => {
-                const val = e.target.value.replace(/[^1-9]/g, '');
+                const val = [...e.target.value.toUpperCase()].filter(ch => symbols.includes(ch)).join('');
+
+                // Notes mode — the digit becomes a pencil mark instead
+                if (notesMode && val !== '') {
+                    e.target.value = '';
+                    toggleNote(r, c, symbolValue(val));
+                    applyHeatmapColors();
+                    commitHistory();
+                    return;
+                }
+
                 e.target.value = val;
+                e.target.classList.remove('ocr-uncertain');
+                clearContradiction();
                 userCells[r][c] = val !== '';
                 if (val !== '') {
                     e.target.classList.add('user-input');
                     e.target.classList.remove('solved');
+                    clearNotes(r, c);
+                    clearPeerNotes(r, c, symbolValue(val));
                 } else {
                     e.target.classList.remove('user-input');
                 }
+                clearHintHighlight();
                 applyHeatmapColors();
                 clearStatus();
                 clearStats();
+                if (val !== '') checkEntry(r, c, symbolValue(val));
+                markMistakes();
+                commitHistory();
+                checkForWin();
             });
 
             // Arrow-key navigation
             input.addEventListener('keydown', (e) => handleNavigation(e, r, c));
+            input.addEventListener('focus', () => {
+                setTabStop(input);
+                selectCell(r, c);
+            });
 
-            boardEl.appendChild(input);
+            wrapper.appendChild(input);
+            wrapper.appendChild(notes);
+            rowEl.appendChild(wrapper);
         }
     }
+    selectedCell = null;
+    buildNumberPad();
 }
 
 // ─── Navigation ──────────────────────────────────────────
+// Arrows wrap around the edges; with Ctrl they jump a whole box.
+// Home/End go to the ends of the row, with Ctrl to the ends of the board.
 function handleNavigation(e, row, col) {
+    const { rows, cols } = boxShape(boardSize);
+    const wrap = n => (n + boardSize) % boardSize;
+    const far = e.ctrlKey || e.metaKey;
     let nr = row, nc = col;
     switch (e.key) {
-        case 'ArrowUp': nr = Math.max(0, row - 1); break;
-        case 'ArrowDown': nr = Math.min(8, row + 1); break;
-        case 'ArrowLeft': nc = Math.max(0, col - 1); break;
-        case 'ArrowRight': nc = Math.min(8, col + 1); break;
+        case 'ArrowUp': nr = wrap(row - (far ? rows : 1)); break;
+        case 'ArrowDown': nr = wrap(row + (far ? rows : 1)); break;
+        case 'ArrowLeft': nc = wrap(col - (far ? cols : 1)); break;
+        case 'ArrowRight': nc = wrap(col + (far ? cols : 1)); break;
+        case 'Home':
+            nc = 0;
+            if (far) nr = 0;
+            break;
+        case 'End':
+            nc = boardSize - 1;
+            if (far) nr = boardSize - 1;
+            break;
+        case 'n':
+        case 'N':
+            e.preventDefault();
+            cycleNotesMode();
+            return;
         case 'Backspace':
         case 'Delete':
-            e.target.value = '';
-            userCells[row][col] = false;
-            e.target.classList.remove('user-input', 'solved', 'error');
-            applyHeatmapColors();
-            clearStatus();
+            if (givenCells[row][col]) e.preventDefault();
+            eraseCell(row, col);
             return;
         default: return;
     }
@@ -162,14 +399,179 @@ function handleNavigation(e, row, col) {
     if (target) target.focus();
 }
 
+function eraseCell(row, col) {
+    const cell = document.getElementById(`cell-${row}-${col}`);
+    if (givenCells[row][col]) {
+        setStatus('That cell is a given clue and can\'t be changed.', 'warning');
+        return;
+    }
+    if (cell.readOnly) return; // the solver visualization is playing
+    // Erasing an empty cell in notes mode wipes its notes
+    if (notesMode && cell.value === '') {
+        clearNotes(row, col);
+        applyHeatmapColors();
+        commitHistory();
+        return;
+    }
+    cell.value = '';
+    userCells[row][col] = false;
+    cell.classList.remove('user-input', 'solved', 'error', 'mistake', 'ocr-uncertain');
+    clearHintHighlight();
+    applyHeatmapColors();
+    clearStatus();
+    commitHistory();
+}
+
+// ─── Number Pad ──────────────────────────────────────────
+// On touch screens the system keyboard would cover the board, so cells
+// get inputmode="none" and an on-screen pad instead: tap a cell, then a
+// digit. The focused cell is the selection, and the pad goes through the
+// same input and erase paths as typing. Desktop keeps typing.
+const numberPad = document.getElementById('number-pad');
+const coarsePointer = window.matchMedia ? window.matchMedia('(pointer: coarse)') : null;
+let touchInput = !!(coarsePointer && coarsePointer.matches);
+let selectedCell = null; // { row, col } of the last focused cell
+
+function cellInputMode() {
+    if (touchInput) return 'none';
+    return boardSize > 9 ? 'text' : 'numeric';
+}
+
+function setTouchInput(on) {
+    touchInput = on;
+    document.body.classList.toggle('touch-input', on);
+    numberPad.classList.toggle('hidden', !on);
+    document.querySelectorAll('.sudoku-cell').forEach((cell) => { cell.inputMode = cellInputMode(); });
+}
+
+function buildNumberPad() {
+    numberPad.innerHTML = '';
+    for (let d = 1; d <= boardSize; d++) {
+        const btn = document.createElement('button');
+        btn.className = 'pad-btn';
+        btn.dataset.digit = d;
+        btn.innerHTML = `<span class="pad-digit">${digitSymbol(d)}</span><span class="pad-count"></span>`;
+        btn.addEventListener('click', () => padEnter(d));
+        numberPad.appendChild(btn);
+    }
+
+    const erase = document.createElement('button');
+    erase.className = 'pad-btn pad-tool';
+    erase.id = 'pad-erase';
+    erase.textContent = '⌫';
+    erase.setAttribute('aria-label', 'Erase');
+    erase.addEventListener('click', padErase);
+
+    const notes = document.createElement('button');
+    notes.className = 'pad-btn pad-tool' + (notesMode ? ' active' : '');
+    notes.id = 'pad-notes';
+    notes.textContent = '✏️';
+    notes.setAttribute('aria-label', 'Notes');
+    notes.setAttribute('aria-pressed', String(notesMode !== null));
+    notes.addEventListener('click', cycleNotesMode);
+
+    numberPad.appendChild(erase);
+    numberPad.appendChild(notes);
+    updateNumberPad();
+}
+
+// The selected cell, focused again so typing and arrows carry on from it
+function focusSelection() {
+    if (!selectedCell) {
+        setStatus('Tap a cell first, then a number.', 'warning');
+        return null;
+    }
+    const cell = document.getElementById(`cell-${selectedCell.row}-${selectedCell.col}`);
+    cell.focus();
+    return cell;
+}
+
+function padEnter(digit) {
+    const cell = focusSelection();
+    if (!cell) return;
+    if (givenCells[selectedCell.row][selectedCell.col]) {
+        setStatus('That cell is a given clue and can\'t be changed.', 'warning');
+        return;
+    }
+    if (cell.readOnly) return; // visualizing
+    // Pencil marks go on empty cells only, as when typing
+    if (notesMode) {
+        if (cell.value !== '') return;
+        toggleNote(selectedCell.row, selectedCell.col, digit);
+        applyHeatmapColors();
+        commitHistory();
+        return;
+    }
+    cell.value = digitSymbol(digit);
+    cell.dispatchEvent(new Event('input'));
+}
+
+function padErase() {
+    if (!focusSelection()) return;
+    eraseCell(selectedCell.row, selectedCell.col);
+}
+
+// How many of each digit are still to place; a digit placed
+// `boardSize` times is greyed out
+function updateNumberPad() {
+    const counts = Array(boardSize + 1).fill(0);
+    for (const val of readBoard().flat()) counts[val]++;
+    numberPad.querySelectorAll('.pad-btn[data-digit]').forEach((btn) => {
+        const digit = Number(btn.dataset.digit);
+        const left = Math.max(0, boardSize - counts[digit]);
+        btn.querySelector('.pad-count').textContent = left;
+        btn.classList.toggle('complete', left === 0);
+        btn.setAttribute('aria-label', `${digitSymbol(digit)}, ${left} left`);
+    });
+}
+
+function selectCell(row, col) {
+    selectedCell = { row, col };
+    highlightSameDigits();
+}
+
+// Outline every cell holding the selected cell's digit
+function highlightSameDigits() {
+    const selected = selectedCell && document.getElementById(`cell-${selectedCell.row}-${selectedCell.col}`);
+    const value = selected ? selected.value : '';
+    document.querySelectorAll('.sudoku-cell').forEach((cell) => {
+        cell.classList.toggle('same-digit', value !== '' && cell.value === value);
+    });
+}
+
+// ─── Screen Reader Labels ────────────────────────────────
+// The board is one Tab stop (the last focused cell); arrows move inside.
+// Each cell's label gives its position and state; the digit is the
+// input's own value.
+function setTabStop(cell) {
+    const current = boardEl.querySelector('.sudoku-cell[tabindex="0"]');
+    if (current && current !== cell) current.tabIndex = -1;
+    cell.tabIndex = 0;
+}
+
+function labelCell(cell, r, c) {
+    const parts = [`Row ${r + 1}, Column ${c + 1}, Box ${boxIndexOf(boardSize, r, c) + 1}`];
+    if (cell.classList.contains('given')) parts.push('given');
+    if (cell.classList.contains('error')) parts.push('conflict');
+    if (cell.classList.contains('mistake')) parts.push('mistake');
+    cell.setAttribute('aria-label', parts.join(', '));
+}
+
+// Cells change state in many places — relabel whenever their classes do
+new MutationObserver((records) => {
+    for (const { target } of records) {
+        const match = target.id.match(/^cell-(\d+)-(\d+)$/);
+        if (match) labelCell(target, Number(match[1]), Number(match[2]));
+    }
+}).observe(boardEl, { subtree: true, attributes: true, attributeFilter: ['class'] });
+
 // ─── Board → Array ───────────────────────────────────────
 function readBoard() {
     const board = [];
-    for (let r = 0; r < 9; r++) {
+    for (let r = 0; r < boardSize; r++) {
         const row = [];
-        for (let c = 0; c < 9; c++) {
-            const val = document.getElementById(`cell-${r}-${c}`).value;
-            row.push(val ? parseInt(val, 10) : 0);
+        for (let c = 0; c < boardSize; c++) {
+            row.push(symbolValue(document.getElementById(`cell-${r}-${c}`).value));
         }
         board.push(row);
     }
@@ -178,19 +580,20 @@ function readBoard() {
 
 // ─── Array → Board ───────────────────────────────────────
 function writeBoard(board, animateSolved = false) {
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
             const cell = document.getElementById(`cell-${r}-${c}`);
             const val = board[r][c];
-            cell.value = val === 0 ? '' : val.toString();
+            cell.value = val === 0 ? '' : digitSymbol(val);
             cell.classList.remove('error');
+            if (val !== 0) clearNotes(r, c);
 
             if (val !== 0 && !userCells[r][c]) {
                 cell.classList.remove('user-input');
                 if (animateSolved) {
                     cell.classList.add('solved');
-                    // Stagger animation
-                    cell.style.animationDelay = `${(r * 9 + c) * 20}ms`;
+                    // Stagger animation — the whole board takes as long as a 9x9 one
+                    cell.style.animationDelay = `${((r * boardSize + c) * 1620) / (boardSize * boardSize)}ms`;
                 }
             }
         }
@@ -199,9 +602,43 @@ function writeBoard(board, animateSolved = false) {
 }
 
 // ─── Heatmap Colors ──────────────────────────────────────
+function hexToRgb(hex) {
+    const n = parseInt(hex.replace('#', ''), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// Stretch a list of colors to `count` evenly spaced, linearly
+// interpolated colors (first and last are kept as they are)
+function interpolatePalette(colors, count) {
+    if (count === colors.length) return [...colors];
+    const rgb = colors.map(hexToRgb);
+    return Array.from({ length: count }, (_, i) => {
+        const pos = count === 1 ? 0 : (i * (rgb.length - 1)) / (count - 1);
+        const lo = Math.floor(pos), hi = Math.min(lo + 1, rgb.length - 1);
+        const t = pos - lo;
+        return rgbToHex(rgb[lo].map((v, k) => v + (rgb[hi][k] - v) * t));
+    });
+}
+
+// Colors of the active palette for the current grid size:
+// index 0 = empty cell, 1..boardSize = digits
+const paletteCache = {};
+function paletteColors(key = activePalette) {
+    const id = `${key}-${boardSize}`;
+    if (!paletteCache[id]) {
+        const [empty, ...digits] = COLOR_PALETTES[key].colors;
+        paletteCache[id] = [empty, ...interpolatePalette(digits, boardSize)];
+    }
+    return paletteCache[id];
+}
+
 function getColor(value) {
-    const palette = COLOR_PALETTES[activePalette];
-    return palette.colors[value] || palette.colors[0];
+    const colors = paletteColors();
+    return colors[value] || colors[0];
 }
 
 function getTextColor(bgHex) {
@@ -214,38 +651,203 @@ function getTextColor(bgHex) {
     return luminance > 0.55 ? '#111122' : '#e8e8f0';
 }
 
+// The palette's digit colors stretched to `count` steps
+function heatScale(count) {
+    return interpolatePalette(paletteColors().slice(1), count);
+}
+
+// Steps in solveOrder, or 0 when there is none for this grid
+function solveOrderLength() {
+    if (!solveOrder || solveOrder.length !== boardSize) return 0;
+    return Math.max(...solveOrder.flat());
+}
+
+// Background color of every cell in the active heatmap mode
+function heatmapColors() {
+    const board = readBoard();
+    const [neutral] = paletteColors();
+
+    if (heatmapMode === 'candidates') {
+        const candidates = computeCandidates(board, constraints);
+        return board.map((row, r) => row.map((val, c) => {
+            if (val !== 0) return neutral;
+            const count = candidates[r][c].size;
+            return count === 0 ? DEAD_END_COLOR : getColor(count);
+        }));
+    }
+    if (heatmapMode === 'order') {
+        const steps = solveOrderLength();
+        const scale = steps > 0 ? heatScale(steps) : [];
+        return board.map((row, r) => row.map((val, c) =>
+            val !== 0 && steps > 0 && solveOrder[r][c] > 0 ? scale[solveOrder[r][c] - 1] : neutral));
+    }
+    if (heatmapMode === 'conflicts') {
+        const scale = heatScale(CONFLICT_LEVELS);
+        return conflictCounts(board, constraints).map(row => row.map(count =>
+            count === 0 ? neutral : scale[Math.min(count, CONFLICT_LEVELS) - 1]));
+    }
+    return board.map(row => row.map(getColor));
+}
+
 function applyHeatmapColors() {
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
+    const colors = heatmapColors();
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
             const cell = document.getElementById(`cell-${r}-${c}`);
-            const val = cell.value ? parseInt(cell.value, 10) : 0;
-            const bg = getColor(val);
+            const bg = colors[r][c];
             cell.style.backgroundColor = bg;
             cell.style.color = getTextColor(bg);
+            renderNotes(r, c, getTextColor(bg));
+        }
+    }
+    // The solve-order legend is labelled with step numbers
+    if (heatmapMode === 'order') buildLegend();
+    // Redrawn after every board change, like the colors
+    updateNumberPad();
+    highlightSameDigits();
+}
+
+function setHeatmapMode(mode) {
+    heatmapMode = HEATMAP_MODES[mode] ? mode : 'digits';
+    document.querySelectorAll('.difficulty-btn[data-heatmap]').forEach(b =>
+        b.classList.toggle('active', b.dataset.heatmap === heatmapMode));
+    applyHeatmapColors();
+    buildLegend();
+}
+
+// ─── Pencil Marks ────────────────────────────────────────
+function createEmptyNotes(size = boardSize) {
+    return Array.from({ length: size }, () =>
+        Array.from({ length: size }, () => ({ corner: new Set(), center: new Set() })));
+}
+
+function toggleNote(r, c, digit) {
+    const set = cellNotes[r][c][notesMode];
+    if (set.has(digit)) {
+        set.delete(digit);
+    } else {
+        set.add(digit);
+    }
+}
+
+function clearNotes(r, c) {
+    cellNotes[r][c].corner.clear();
+    cellNotes[r][c].center.clear();
+}
+
+// Placing a digit rules it out for every cell in the same row, column and box
+function clearPeerNotes(row, col, digit) {
+    const box = boxIndexOf(boardSize, row, col);
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            if (r === row || c === col || boxIndexOf(boardSize, r, c) === box) {
+                cellNotes[r][c].corner.delete(digit);
+                cellNotes[r][c].center.delete(digit);
+            }
+        }
+    }
+}
+
+// Draw a cell's notes. Each corner mark is underlined with its digit's
+// heatmap color; the text itself uses the cell's contrast color.
+function renderNotes(r, c, textColor) {
+    const el = document.getElementById(`notes-${r}-${c}`);
+    const { corner, center } = cellNotes[r][c];
+    el.innerHTML = '';
+    el.style.color = textColor;
+
+    const grid = document.createElement('div');
+    grid.className = 'notes-corner';
+    for (let d = 1; d <= boardSize; d++) {
+        const mark = document.createElement('span');
+        if (corner.has(d)) {
+            mark.textContent = digitSymbol(d);
+            mark.style.borderBottomColor = getColor(d);
         }
+        grid.appendChild(mark);
+    }
+    el.appendChild(grid);
+
+    if (center.size > 0) {
+        const list = document.createElement('div');
+        list.className = 'notes-center';
+        list.textContent = [...center].sort((a, b) => a - b).map(digitSymbol).join('');
+        el.appendChild(list);
+    }
+}
+
+function cycleNotesMode() {
+    const next = NOTES_MODES[(NOTES_MODES.indexOf(notesMode) + 1) % NOTES_MODES.length];
+    setNotesMode(next);
+}
+
+function setNotesMode(mode) {
+    notesMode = mode;
+    boardEl.classList.toggle('notes-mode', mode !== null);
+    if (btnNotes) {
+        btnNotes.classList.toggle('active', mode !== null);
+        const label = mode ? mode.charAt(0).toUpperCase() + mode.slice(1) : 'Off';
+        btnNotes.querySelector('.notes-label').textContent = `Notes: ${label}`;
+    }
+    const padNotes = document.getElementById('pad-notes');
+    if (padNotes) {
+        padNotes.classList.toggle('active', mode !== null);
+        padNotes.setAttribute('aria-pressed', String(mode !== null));
     }
 }
 
 // ─── Legend ──────────────────────────────────────────────
+// [{ color, label }] for the active heatmap mode
+function legendEntries() {
+    const colors = paletteColors();
+    const digits = Array.from({ length: boardSize }, (_, i) => ({ color: colors[i + 1], label: digitSymbol(i + 1) }));
+
+    if (heatmapMode === 'candidates') {
+        return [{ color: DEAD_END_COLOR, label: '0' }, ...digits.map((entry, i) => ({ ...entry, label: String(i + 1) }))];
+    }
+    if (heatmapMode === 'order') {
+        // At most one swatch per digit color, labelled with its step
+        const steps = solveOrderLength();
+        const scale = heatScale(steps);
+        const count = Math.min(steps, boardSize);
+        return Array.from({ length: count }, (_, i) => {
+            const step = count === 1 ? 1 : Math.round(1 + (i * (steps - 1)) / (count - 1));
+            return { color: scale[step - 1], label: String(step) };
+        });
+    }
+    if (heatmapMode === 'conflicts') {
+        return heatScale(CONFLICT_LEVELS).map((color, i) => ({
+            color,
+            label: i === CONFLICT_LEVELS - 1 ? `${i + 1}+` : String(i + 1),
+        }));
+    }
+    return digits;
+}
+
 function buildLegend() {
     legendContainer.innerHTML = '';
-    const palette = COLOR_PALETTES[activePalette];
-    for (let i = 1; i <= 9; i++) {
+    for (const entry of legendEntries()) {
         const item = document.createElement('div');
         item.className = 'legend-item';
 
         const color = document.createElement('div');
         color.className = 'legend-color';
-        color.style.backgroundColor = palette.colors[i];
+        color.style.backgroundColor = entry.color;
 
         const label = document.createElement('div');
         label.className = 'legend-label';
-        label.textContent = i;
+        label.textContent = entry.label;
 
         item.appendChild(color);
         item.appendChild(label);
         legendContainer.appendChild(item);
     }
+
+    const { caption } = HEATMAP_MODES[heatmapMode];
+    legendCaption.textContent = heatmapMode === 'order' && solveOrderLength() === 0
+        ? 'Solve the puzzle to see the order its cells were filled in'
+        : caption || '';
+    legendCaption.classList.toggle('hidden', !legendCaption.textContent);
 }
 
 // ─── Palette Picker ─────────────────────────────────────
@@ -278,10 +880,232 @@ function buildPalettePicker() {
             btn.classList.add('active');
             applyHeatmapColors();
             buildLegend();
+            savePrefs();
         });
 
         paletteContainer.appendChild(btn);
     }
+
+    const edit = document.createElement('button');
+    edit.className = 'palette-btn';
+    edit.id = 'palette-edit';
+    edit.textContent = COLOR_PALETTES[activePalette].custom ? '✏️ Edit' : '✏️ Custom';
+    edit.title = 'Make your own palette from two or three colors';
+    edit.addEventListener('click', openPaletteEditor);
+    paletteContainer.appendChild(edit);
+}
+
+// ─── Custom Palettes ─────────────────────────────────────
+// Custom palettes are 2–3 anchor colors blended into the digit colors.
+// They are kept in localStorage under sudokuweb.palettes as
+// { [key]: { label, anchors } } and merged into COLOR_PALETTES on load.
+const CUSTOM_PALETTES_KEY = 'sudokuweb.palettes';
+const PREVIEW_PALETTE = 'preview';
+const EMPTY_CELL_COLOR = '#1c1c36';
+// CIE76 color difference below which two neighboring digits blur together
+const MIN_DIGIT_CONTRAST = 10;
+
+const paletteOverlay = document.getElementById('palette-overlay');
+const paletteNameInput = document.getElementById('palette-name');
+const paletteAnchorInputs = [0, 1, 2].map(i => document.getElementById(`palette-anchor-${i}`));
+const paletteMiddleToggle = document.getElementById('palette-use-middle');
+const palettePreview = document.getElementById('palette-preview');
+const paletteMessage = document.getElementById('palette-message');
+
+// { key, previous } while the editor is open; key is null for a new palette
+let paletteEdit = null;
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function makePalette(label, anchors) {
+    return {
+        label,
+        anchors,
+        custom: true,
+        colors: [EMPTY_CELL_COLOR, ...interpolatePalette(anchors, 9)],
+    };
+}
+
+// Drop cached colors after a palette changes
+function forgetPaletteColors(key) {
+    for (const id of Object.keys(paletteCache)) {
+        if (id.startsWith(`${key}-`)) delete paletteCache[id];
+    }
+}
+
+function loadCustomPalettes() {
+    const saved = loadJSON(CUSTOM_PALETTES_KEY, {});
+    for (const [key, { label, anchors }] of Object.entries(saved)) {
+        if (Array.isArray(anchors) && anchors.length >= 2 && anchors.every(isHexColor)) {
+            COLOR_PALETTES[key] = makePalette(String(label), anchors);
+        }
+    }
+}
+
+function saveCustomPalettes() {
+    const saved = {};
+    for (const [key, palette] of Object.entries(COLOR_PALETTES)) {
+        if (palette.custom && key !== PREVIEW_PALETTE) {
+            saved[key] = { label: palette.label, anchors: palette.anchors };
+        }
+    }
+    saveJSON(CUSTOM_PALETTES_KEY, saved);
+}
+
+// sRGB hex → CIE L*a*b* (D65 white)
+function hexToLab(hex) {
+    const [r, g, b] = hexToRgb(hex).map((v) => {
+        v /= 255;
+        return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    const x = f((r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047);
+    const y = f(r * 0.2126 + g * 0.7152 + b * 0.0722);
+    const z = f((r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883);
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+function colorDifference(a, b) {
+    const [l1, a1, b1] = hexToLab(a);
+    const [l2, a2, b2] = hexToLab(b);
+    return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+}
+
+// Pairs of consecutive digits whose colors are too close to tell apart
+function similarDigitPairs(colors) {
+    const pairs = [];
+    for (let d = 2; d < colors.length; d++) {
+        if (colorDifference(colors[d - 1], colors[d]) < MIN_DIGIT_CONTRAST) pairs.push([d - 1, d]);
+    }
+    return pairs;
+}
+
+function editorAnchors() {
+    const inputs = paletteMiddleToggle.checked
+        ? paletteAnchorInputs
+        : [paletteAnchorInputs[0], paletteAnchorInputs[2]];
+    return inputs.map(input => input.value.toLowerCase());
+}
+
+function setPaletteMessage(msg, type = '') {
+    paletteMessage.textContent = msg;
+    paletteMessage.className = `io-message ${type}`;
+}
+
+function fillPaletteEditor(label, anchors) {
+    paletteNameInput.value = label;
+    paletteMiddleToggle.checked = anchors.length > 2;
+    paletteAnchorInputs[0].value = anchors[0];
+    paletteAnchorInputs[1].value = anchors.length > 2 ? anchors[1] : interpolatePalette(anchors, 3)[1];
+    paletteAnchorInputs[2].value = anchors[anchors.length - 1];
+}
+
+// Show the palette being edited on the board, the legend and the
+// editor's own swatches, and warn about digits that look alike
+function previewPalette() {
+    paletteAnchorInputs[1].disabled = !paletteMiddleToggle.checked;
+    COLOR_PALETTES[PREVIEW_PALETTE] = makePalette(paletteNameInput.value, editorAnchors());
+    forgetPaletteColors(PREVIEW_PALETTE);
+    activePalette = PREVIEW_PALETTE;
+    applyHeatmapColors();
+    buildLegend();
+
+    const colors = paletteColors();
+    palettePreview.innerHTML = '';
+    for (let d = 1; d <= boardSize; d++) {
+        const swatch = document.createElement('span');
+        swatch.style.backgroundColor = colors[d];
+        swatch.style.color = getTextColor(colors[d]);
+        swatch.textContent = digitSymbol(d);
+        palettePreview.appendChild(swatch);
+    }
+
+    const pairs = similarDigitPairs(colors);
+    if (pairs.length > 0) {
+        const list = pairs.map(([a, b]) => `${digitSymbol(a)}–${digitSymbol(b)}`).join(', ');
+        setPaletteMessage(`⚠️ Hard to tell apart: ${list}. Try colors further apart in lightness.`, 'warning');
+    } else {
+        setPaletteMessage('');
+    }
+}
+
+function openPaletteEditor() {
+    const previous = activePalette;
+    const palette = COLOR_PALETTES[previous];
+    paletteEdit = { key: palette.custom ? previous : null, previous };
+    if (palette.custom) {
+        fillPaletteEditor(palette.label, palette.anchors);
+    } else {
+        // Start from the current palette's darkest, middle and lightest digits
+        fillPaletteEditor('', [palette.colors[1], palette.colors[5], palette.colors[9]]);
+    }
+    document.getElementById('palette-delete').hidden = !paletteEdit.key;
+    paletteOverlay.classList.remove('hidden');
+    previewPalette();
+    paletteNameInput.focus();
+}
+
+// Close the editor and switch to `key` (the palette in use before by default)
+function closePaletteEditor(key = paletteEdit.previous) {
+    delete COLOR_PALETTES[PREVIEW_PALETTE];
+    forgetPaletteColors(PREVIEW_PALETTE);
+    paletteEdit = null;
+    activePalette = COLOR_PALETTES[key] ? key : 'ocean';
+    paletteOverlay.classList.add('hidden');
+    buildPalettePicker();
+    applyHeatmapColors();
+    buildLegend();
+    savePrefs();
+}
+
+function saveEditedPalette() {
+    const key = paletteEdit.key || `custom-${Date.now().toString(36)}`;
+    const label = paletteNameInput.value.trim() || 'Custom';
+    COLOR_PALETTES[key] = makePalette(label, editorAnchors());
+    forgetPaletteColors(key);
+    saveCustomPalettes();
+    closePaletteEditor(key);
+    setStatus(`🎨 Palette "${label}" saved.`, 'success');
+}
+
+function deleteEditedPalette() {
+    const { key } = paletteEdit;
+    const { label } = COLOR_PALETTES[key];
+    delete COLOR_PALETTES[key];
+    forgetPaletteColors(key);
+    saveCustomPalettes();
+    closePaletteEditor('ocean');
+    setStatus(`🗑️ Palette "${label}" deleted.`, '');
+}
+
+// Palettes travel as { name, anchors, colors } — colors are the nine
+// blended digit colors, for tools that don't interpolate themselves
+function exportEditedPalette() {
+    const palette = COLOR_PALETTES[PREVIEW_PALETTE];
+    const name = paletteNameInput.value.trim() || 'Custom';
+    const json = JSON.stringify({ name, anchors: palette.anchors, colors: palette.colors.slice(1) }, null, 2);
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+    downloadText(json, `${slug}.palette.json`, 'application/json');
+    setPaletteMessage(`${slug}.palette.json downloaded.`, 'success');
+}
+
+// Load an exported palette into the editor; it is kept once saved
+function importPaletteJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return 'Not a JSON file.';
+    }
+    const anchors = data && data.anchors;
+    if (!Array.isArray(anchors) || anchors.length < 2 || anchors.length > 3 || !anchors.every(isHexColor)) {
+        return 'Expected "anchors": two or three colors like "#1a2b3c".';
+    }
+    fillPaletteEditor(typeof data.name === 'string' ? data.name : '', anchors.map(a => a.toLowerCase()));
+    previewPalette();
+    return null;
 }
 
 // ─── Status ──────────────────────────────────────────────
@@ -295,37 +1119,66 @@ function clearStatus() {
     statusBar.className = 'status-bar';
 }
 
+// ─── Difficulty Grade ────────────────────────────────────
+// Formats a gradePuzzle() result, e.g. "Hard – needs X-Wing", or a
+// variant puzzle's grade, e.g. "Medium – Killer". A board with nothing
+// left to fill takes no steps and has no hardest technique.
+function formatGrade(grade) {
+    if (grade.variant) return `${grade.label} – ${grade.variant}`;
+    if (grade.hardestTechnique === null) return `${grade.label} – no steps needed`;
+    return `${grade.label} – needs ${grade.hardestTechnique}`;
+}
+
 // ─── Stats Display ───────────────────────────────────────
-function showStats(stats) {
+function formatDuration(ms) {
+    if (ms < 1) return `${ms.toFixed(3)} ms`;
+    if (ms < 1000) return `${ms.toFixed(1)} ms`;
+    const secs = ms / 1000;
+    const mins = Math.floor(secs / 60);
+    const remSecs = (secs % 60).toFixed(1);
+    return mins > 0 ? `${mins} min ${remSecs} sec` : `${remSecs} sec`;
+}
+
+// Also used for live progress while a job runs. Every field is optional:
+// `elapsedMs`/`backtracks` come from the solver, `attempts` from the
+// generator, `grade` adds the difficulty grade and step count.
+// The hint counter is shown whenever hints have been used.
+function showStats(stats = {}) {
     if (!statsContainer) return;
 
-    let timeStr;
-    if (stats.elapsedMs < 1) {
-        timeStr = `${stats.elapsedMs.toFixed(3)} ms`;
-    } else if (stats.elapsedMs < 1000) {
-        timeStr = `${stats.elapsedMs.toFixed(1)} ms`;
-    } else {
-        const secs = stats.elapsedMs / 1000;
-        const mins = Math.floor(secs / 60);
-        const remSecs = (secs % 60).toFixed(1);
-        timeStr = mins > 0 ? `${mins} min ${remSecs} sec` : `${remSecs} sec`;
+    const items = [];
+    if (stats.strategy) items.push(['⚙ Solver', stats.strategy]);
+    if (stats.elapsedMs !== undefined) items.push(['⏱ Time', formatDuration(stats.elapsedMs)]);
+    if (stats.backtracks !== undefined) items.push(['↩ Backtracks', stats.backtracks.toLocaleString()]);
+    if (stats.strategy && stats.nodes !== undefined) items.push(['🔢 Nodes', stats.nodes.toLocaleString()]);
+    if (stats.attempts) items.push(['🎲 Attempts', stats.attempts]);
+    if (stats.grade) {
+        items.push(['📈 Grade', formatGrade(stats.grade)]);
+        if (!stats.grade.variant) items.push(['🧠 Steps', stats.grade.steps]);
     }
+    if (stats.seed) items.push(['🌱 Seed', stats.seed]);
+    if (hintsUsed > 0) items.push(['💡 Hints', hintsUsed]);
 
-    statsContainer.innerHTML = `
-        <div class="stat-item">
-            <span class="stat-label">⏱ Time</span>
-            <span class="stat-value">${timeStr}</span>
-        </div>
+    if (items.length === 0) {
+        clearStats();
+        return;
+    }
+
+    statsContainer.innerHTML = items.map(([label, value]) => `
         <div class="stat-item">
-            <span class="stat-label">↩ Backtracks</span>
-            <span class="stat-value">${stats.backtracks.toLocaleString()}</span>
-        </div>
-    `;
+            <span class="stat-label">${label}</span>
+            <span class="stat-value">${value}</span>
+        </div>`).join('');
     statsContainer.classList.add('visible');
 }
 
+// Clears solver stats; the hint counter stays for the whole game
 function clearStats() {
     if (!statsContainer) return;
+    if (hintsUsed > 0) {
+        showStats();
+        return;
+    }
     statsContainer.innerHTML = '';
     statsContainer.classList.remove('visible');
 }
@@ -339,13 +1192,126 @@ function highlightErrors(conflicts) {
     }
 }
 
+// ─── Background Jobs ─────────────────────────────────────
+// Solving and generation run in worker.js so the page stays responsive.
+// Some browsers refuse to start workers for pages opened from file:// —
+// jobs then run inline via SOLVER_JOBS (no progress, can't be cancelled
+// once started).
+let solverWorker = null;
+let workerUnavailable = typeof Worker === 'undefined';
+let activeJob = null; // { id, type, payload, onProgress, resolve, reject }
+let nextJobId = 1;
+
+function getWorker() {
+    if (workerUnavailable) return null;
+    if (!solverWorker) {
+        try {
+            solverWorker = new Worker('worker.js');
+        } catch (err) {
+            workerUnavailable = true;
+            return null;
+        }
+        solverWorker.addEventListener('message', handleWorkerMessage);
+        solverWorker.addEventListener('error', handleWorkerError);
+    }
+    return solverWorker;
+}
+
+function handleWorkerMessage(e) {
+    const { id, type, data, message } = e.data;
+    if (!activeJob || activeJob.id !== id) return; // stale (cancelled) job
+    if (type === 'progress') {
+        activeJob.onProgress(data);
+        return;
+    }
+    const job = activeJob;
+    finishJob();
+    if (type === 'done') {
+        job.resolve(data);
+    } else {
+        job.reject(new Error(message));
+    }
+}
+
+function handleWorkerError(e) {
+    // The worker script failed to load — fall back to inline jobs
+    e.preventDefault();
+    solverWorker.terminate();
+    solverWorker = null;
+    workerUnavailable = true;
+    if (activeJob) runJobInline(activeJob);
+}
+
+function runJobInline(job) {
+    // Let the UI paint the status message before blocking
+    setTimeout(() => {
+        if (activeJob !== job) return; // cancelled before it started
+        try {
+            const data = SOLVER_JOBS[job.type](job.payload, () => { });
+            finishJob();
+            job.resolve(data);
+        } catch (err) {
+            finishJob();
+            job.reject(err);
+        }
+    }, 50);
+}
+
+// Run a job from SOLVER_JOBS. Resolves with its result, or with null
+// if the job was cancelled. Only one job runs at a time: one still
+// running (say, a photo pasted mid-solve) is cancelled first.
+function runJob(type, payload, onProgress = () => { }) {
+    cancelJob();
+    return new Promise((resolve, reject) => {
+        activeJob = { id: nextJobId++, type, payload, onProgress, resolve, reject };
+        setBusy(true);
+        const worker = getWorker();
+        if (worker) {
+            worker.postMessage({ id: activeJob.id, type, payload });
+        } else {
+            runJobInline(activeJob);
+        }
+    });
+}
+
+function cancelJob() {
+    if (!activeJob) return;
+    const job = activeJob;
+    // A busy worker can't receive messages — terminate and start fresh next time
+    if (solverWorker) {
+        solverWorker.terminate();
+        solverWorker = null;
+    }
+    finishJob();
+    job.resolve(null);
+}
+
+function finishJob() {
+    activeJob = null;
+    setBusy(false);
+}
+
+// Controls that start a job are disabled while one runs
+const JOB_CONTROLS = [
+    'btn-solve', 'btn-generate', 'btn-visualize', 'btn-analyze', 'btn-hint', 'btn-daily',
+    'bench-board', 'bench-hard', 'io-import', 'io-file', 'io-image', 'print-go', 'print-svg',
+];
+
+function setBusy(busy) {
+    for (const id of JOB_CONTROLS) {
+        const control = document.getElementById(id);
+        if (control) control.disabled = busy;
+    }
+    if (btnCancel) btnCancel.classList.toggle('hidden', !busy);
+}
+
 // ─── Solve Flow ──────────────────────────────────────────
 function attemptSolve() {
     const board = readBoard();
 
     // ── Check if already fully solved (mirrors Java's etest(9)) ──
     if (isBoardComplete(board)) {
-        const conflicts = validateBoard(board);
+        const conflicts = validateBoard(board, constraints);
         if (conflicts.length === 0) {
             highlightErrors([]);
             setStatus('🎉 This board is already a valid, complete Sudoku!', 'success');
@@ -358,12 +1324,14 @@ function attemptSolve() {
     }
 
     // ── Validate before solving ──
-    const conflicts = validateBoard(board);
+    const conflicts = validateBoard(board, constraints);
 
     if (conflicts.length > 0) {
         highlightErrors(conflicts);
-        modalMessage.textContent =
-            `Found ${conflicts.length} conflicting cell(s). The current board has duplicates in a row, column, or box. Would you like to generate a valid puzzle instead?`;
+        const entryConflicts = conflicts.filter(({ row, col }) => !givenCells[row][col]);
+        modalMessage.textContent = hasGivens() && entryConflicts.length === conflicts.length
+            ? `${conflicts.length} of your entries clash with each other or with the clues. Cancel to fix them, or generate a new puzzle instead.`
+            : `Found ${conflicts.length} conflicting cell(s). The current board has duplicates in a row, column, or box. Would you like to generate a valid puzzle instead?`;
         modalOverlay.classList.remove('hidden');
         setStatus(`${conflicts.length} conflict(s) detected`, 'warning');
         return;
@@ -373,134 +1341,1886 @@ function attemptSolve() {
     highlightErrors([]);
     setStatus('⏳ Solving...', '');
 
-    // Use setTimeout to let the UI update before solving (can be CPU-heavy)
-    setTimeout(() => {
-        const clone = cloneBoard(board);
-        const cube = buildCandidateCube();
-        const stats = solveBoardWithStats(clone, cube);
+    runJob('solve', { board, strategy: activeStrategy, ...variantPayload() }, showStats).then((result) => {
+        if (!result) return; // cancelled
+        const { board: solved, stats, grade, order } = result;
 
         if (stats.solved) {
-            writeBoard(clone, true);
-            setStatus('✅ Puzzle solved!', 'success');
-            showStats(stats);
+            solveOrder = order;
+            writeBoard(solved, true);
+            commitHistory();
+            setStatus(grade ? `✅ Puzzle solved! (${formatGrade(grade)})` : '✅ Puzzle solved!', 'success');
+            showStats({ ...stats, grade });
+            // Typed-in puzzles may have other answers — check in the background
+            if (!currentSolution) return runJob('analyze', { board, ...variantPayload() });
         } else {
-            const reason = stats.backtracks >= 1_000_000 || stats.elapsedMs >= 5000
-                ? '❌ Puzzle too complex or unsolvable — solver timed out.'
-                : '❌ No solution exists for this configuration.';
-            setStatus(reason, 'error');
+            const entriesAreWrong = currentSolution && board.some((row, r) =>
+                row.some((val, c) => val !== 0 && !givenCells[r][c] && val !== currentSolution[r][c]));
             showStats(stats);
+            if (entriesAreWrong) {
+                setStatus('❌ No solution with your entries — some of them are wrong.', 'error');
+                return null;
+            }
+            // Find out whether there is no solution or the solver gave up
+            setStatus('🔍 No solution found — checking why...', '');
+            return runJob('analyze', { board, ...variantPayload() }).then((result) => {
+                if (result) showAnalysis(board, result, stats.strategy);
+                return null;
+            });
         }
-    }, 50);
+        return null;
+    }).then((result) => {
+        if (result && result.verdict === 'multiple') {
+            showAnalysis(board, result);
+            setStatus('⚠️ Solved — but this puzzle has more than one solution, so this is only one of them.', 'warning');
+        }
+    }).catch((err) => setStatus(`❌ Solver error: ${err.message}`, 'error'));
 }
 
-// ─── Verify Board ────────────────────────────────────────
-// Mirrors Java's evalid() + etest(9) — checks if the user's
-// input is valid and/or already a complete solution.
-function verifyBoard() {
+// ─── Solver Visualization ────────────────────────────────
+// Placements, rejected candidates (conflicts) and backtracks each get
+// their own highlight while the search plays back at the chosen speed.
+function startVisualization() {
+    if (viz) return;
     const board = readBoard();
-
-    // Count filled cells
-    let filledCount = 0;
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
-            if (board[r][c] !== 0) filledCount++;
-        }
+    const conflicts = validateBoard(board, constraints);
+    if (conflicts.length > 0) {
+        highlightErrors(conflicts);
+        setStatus('Fix the highlighted conflicts before visualizing.', 'warning');
+        return;
     }
-
-    if (filledCount === 0) {
-        setStatus('Board is empty — nothing to verify.', 'warning');
+    if (isBoardComplete(board)) {
+        setStatus('The board is already full — nothing to visualize.', 'warning');
         return;
     }
 
-    const conflicts = validateBoard(board);
-
+    highlightErrors([]);
+    clearHintHighlight();
+    viz = {
+        steps: backtrackingSteps(board, undefined, constraints),
+        timer: null,
+        playing: false,
+        counts: { place: 0, conflict: 0, backtrack: 0 },
+        placedAt: board.map(row => row.map(() => 0)), // event number of each live placement
+    };
+    boardEl.classList.add('visualizing');
+    document.querySelectorAll('.sudoku-cell').forEach(cell => { cell.readOnly = true; });
+    setBusy(true);
+    if (btnCancel) btnCancel.classList.add('hidden');
+    vizBar.classList.remove('hidden');
+    updateVizCounts();
+    setStatus('👁 Visualizing the backtracking search...', '');
+    playVisualization();
+}
+
+// Steps per second from the slider — logarithmic, about 1 to 2000
+function vizStepsPerSecond() {
+    return Math.max(1, Math.round(Math.pow(10, (vizSpeed.value / 100) * 3.3)));
+}
+
+function playVisualization() {
+    viz.playing = true;
+    vizPlay.textContent = '⏸ Pause';
+    scheduleViz();
+}
+
+function pauseVisualization() {
+    viz.playing = false;
+    vizPlay.textContent = '▶ Play';
+    clearInterval(viz.timer);
+    viz.timer = null;
+}
+
+// (Re)start the playback timer for the current speed
+function scheduleViz() {
+    clearInterval(viz.timer);
+    const rate = vizStepsPerSecond();
+    const delay = Math.max(16, 1000 / rate);
+    const perTick = Math.max(1, Math.round((rate * delay) / 1000));
+    viz.timer = setInterval(() => {
+        for (let i = 0; i < perTick && viz; i++) stepVisualization();
+    }, delay);
+}
+
+function stepVisualization() {
+    const { value: event } = viz.steps.next();
+    document.querySelectorAll('.viz-place, .viz-conflict, .viz-backtrack')
+        .forEach(el => el.classList.remove('viz-place', 'viz-conflict', 'viz-backtrack'));
+
+    if (event.type === 'done') {
+        finishVisualization(event.solved);
+        return;
+    }
+
+    const cell = document.getElementById(`cell-${event.row}-${event.col}`);
+    viz.counts[event.type]++;
+    if (event.type === 'place') {
+        cell.value = digitSymbol(event.value);
+        viz.placedAt[event.row][event.col] = viz.counts.place;
+    } else if (event.type === 'backtrack') {
+        cell.value = '';
+        viz.placedAt[event.row][event.col] = 0;
+    }
+    cell.classList.add(`viz-${event.type}`);
+    const bg = getColor(symbolValue(cell.value));
+    cell.style.backgroundColor = bg;
+    cell.style.color = getTextColor(bg);
+    updateVizCounts();
+}
+
+function updateVizCounts() {
+    const { place, conflict, backtrack } = viz.counts;
+    vizCounts.innerHTML = `
+        <span class="viz-key viz-key-place">● ${place.toLocaleString()} placed</span>
+        <span class="viz-key viz-key-conflict">● ${conflict.toLocaleString()} conflicts</span>
+        <span class="viz-key viz-key-backtrack">● ${backtrack.toLocaleString()} backtracks</span>`;
+}
+
+// Keep the solved board (one undo step); a stopped run restores the board
+function finishVisualization(solved) {
+    const { backtrack } = viz.counts;
+    const { placedAt } = viz;
+    endVisualization();
+    if (solved) {
+        // Number the placements that survived 1, 2, 3... in the order they were made
+        const placed = placedAt.flat().filter(n => n > 0).sort((a, b) => a - b);
+        solveOrder = placedAt.map(row => row.map(n => (n > 0 ? placed.indexOf(n) + 1 : 0)));
+        applyHeatmapColors();
+        commitHistory();
+        setStatus(`✅ Search finished with ${backtrack.toLocaleString()} backtracks.`, 'success');
+    } else {
+        restoreState(presentState);
+        setStatus('❌ The search ran out of candidates — no solution exists.', 'error');
+    }
+}
+
+function stopVisualization() {
+    endVisualization();
+    restoreState(presentState);
+    setStatus('Visualization stopped.', 'warning');
+}
+
+function endVisualization() {
+    clearInterval(viz.timer);
+    viz = null;
+    boardEl.classList.remove('visualizing');
+    document.querySelectorAll('.viz-place, .viz-conflict, .viz-backtrack')
+        .forEach(el => el.classList.remove('viz-place', 'viz-conflict', 'viz-backtrack'));
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            document.getElementById(`cell-${r}-${c}`).readOnly = givenCells[r][c];
+        }
+    }
+    vizBar.classList.add('hidden');
+    setBusy(false);
+}
+
+// ─── Solver Benchmark ────────────────────────────────────
+function buildStrategyPicker() {
+    if (!strategySelect) return;
+    strategySelect.innerHTML = '';
+    for (const [key, strategy] of Object.entries(SOLVER_STRATEGIES)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = strategy.name;
+        option.title = strategy.description;
+        strategySelect.appendChild(option);
+    }
+    strategySelect.value = activeStrategy;
+}
+
+function openBenchmark() {
+    setBenchMessage('', '');
+    benchOverlay.classList.remove('hidden');
+}
+
+// Closing the panel also stops a benchmark that is still running
+function closeBenchmark() {
+    if (activeJob && activeJob.type === 'benchmark') cancelJob();
+    benchOverlay.classList.add('hidden');
+}
+
+function setBenchMessage(msg, type) {
+    benchMessage.textContent = msg;
+    benchMessage.className = `io-message ${type}`;
+}
+
+// `source` is 'board' (the current board) or 'hard' (BENCHMARK_PUZZLES)
+function runBenchmark(source) {
+    if (activeJob) {
+        setBenchMessage('Wait for the running job to finish first.', 'error');
+        return;
+    }
+
+    let boards;
+    let payload = {};
+    if (source === 'board') {
+        const board = readBoard();
+        if (validateBoard(board, constraints).length > 0) {
+            setBenchMessage('The board has conflicts — fix them before benchmarking.', 'error');
+            return;
+        }
+        boards = [board];
+        payload = variantPayload();
+    } else {
+        boards = BENCHMARK_PUZZLES.map(({ puzzle }) => parsePuzzles(puzzle)[0]);
+    }
+
+    benchResults.innerHTML = '';
+    setBenchMessage('⏳ Running...', '');
+    runJob('benchmark', { boards, ...payload }, ({ done, total, strategy }) =>
+        setBenchMessage(`⏳ ${strategy} (${done + 1} of ${total} runs)...`, '')
+    ).then((results) => {
+        if (!results) return; // cancelled
+        renderBenchmark(results);
+        const what = source === 'board' ? 'the current board' : `${boards.length} hard puzzles`;
+        setBenchMessage(`Compared ${results.length} solvers on ${what}.`, 'success');
+    }).catch((err) => setBenchMessage(`❌ Benchmark error: ${err.message}`, 'error'));
+}
+
+// Side-by-side table; the fastest solver that solved everything is highlighted
+function renderBenchmark(results) {
+    const complete = results.filter(r => r.solved === r.puzzles);
+    const fastest = complete.reduce((best, r) => (!best || r.elapsedMs < best.elapsedMs ? r : best), null);
+
+    benchResults.innerHTML = `
+        <table class="bench-table">
+            <thead>
+                <tr><th>Solver</th><th>Solved</th><th>Time</th><th>Nodes</th><th>Backtracks</th></tr>
+            </thead>
+            <tbody>
+                ${results.map(r => `
+                <tr class="${r === fastest ? 'bench-best' : ''}" title="${SOLVER_STRATEGIES[r.key].description}">
+                    <td>${r.name}</td>
+                    <td>${r.solved}/${r.puzzles}</td>
+                    <td>${formatDuration(r.elapsedMs)}</td>
+                    <td>${r.nodes.toLocaleString()}</td>
+                    <td>${r.backtracks.toLocaleString()}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// ─── Variants ────────────────────────────────────────────
+// Switch the rules of the current game. `cages` only matter for Killer.
+function setVariant(variant, cages = []) {
+    activeVariant = VARIANTS[variant] ? variant : 'classic';
+    killerCages = VARIANTS[activeVariant].cages ? cages : [];
+    constraints = createConstraints(activeVariant, killerCages);
+    hintSolution = null;
+    document.querySelectorAll('.difficulty-btn[data-variant]').forEach(b =>
+        b.classList.toggle('active', b.dataset.variant === activeVariant));
+    drawVariant();
+}
+
+// Variant data the worker needs to rebuild the constraint set
+function variantPayload() {
+    return { variant: activeVariant, cages: killerCages };
+}
+
+// Mark extra regions and cage outlines on the cell wrappers
+function drawVariant() {
+    const def = VARIANTS[activeVariant];
+    const n = boardSize;
+    const inRegion = new Set(def.regions.flat().map(([r, c]) => r * n + c));
+    const cageOf = constraints ? constraints.cageOf : [];
+
+    for (let r = 0; r < n; r++) {
+        for (let c = 0; c < n; c++) {
+            const wrapper = document.getElementById(`cell-${r}-${c}`).parentElement;
+            wrapper.classList.toggle('region-cell', inRegion.has(r * n + c));
+            wrapper.classList.toggle('diag-main', activeVariant === 'diagonal' && r === c);
+            wrapper.classList.toggle('diag-anti', activeVariant === 'diagonal' && r + c === n - 1);
+
+            // Cage edges wherever the neighbour belongs to another cage
+            const cage = cageOf[r * n + c] || null;
+            const sameCage = (r2, c2) => r2 >= 0 && r2 < n && c2 >= 0 && c2 < n && cageOf[r2 * n + c2] === cage;
+            wrapper.classList.toggle('cage', !!cage);
+            wrapper.classList.toggle('cage-top', !!cage && !sameCage(r - 1, c));
+            wrapper.classList.toggle('cage-bottom', !!cage && !sameCage(r + 1, c));
+            wrapper.classList.toggle('cage-left', !!cage && !sameCage(r, c - 1));
+            wrapper.classList.toggle('cage-right', !!cage && !sameCage(r, c + 1));
+
+            const label = wrapper.querySelector('.cage-sum');
+            if (label) label.remove();
+            if (cage && cage.cells[0][0] === r && cage.cells[0][1] === c) {
+                const sum = document.createElement('span');
+                sum.className = 'cage-sum';
+                sum.textContent = cage.sum;
+                wrapper.appendChild(sum);
+            }
+        }
+    }
+    boardEl.dataset.variant = activeVariant;
+}
+
+// ─── Grid Size ───────────────────────────────────────────
+// Rebuild the board empty at another size. Variants are 9x9 only,
+// so other sizes switch back to classic rules.
+function setBoardSize(size) {
+    boardSize = BOX_SHAPES[size] ? size : 9;
+    buildBoard();
+    userCells = createFlagGrid();
+    givenCells = createFlagGrid();
+    cellNotes = createEmptyNotes();
+    setVariant(boardSize === 9 ? activeVariant : 'classic', killerCages);
+    document.querySelectorAll('.difficulty-btn[data-size]').forEach(b =>
+        b.classList.toggle('active', Number(b.dataset.size) === boardSize));
+    document.querySelectorAll('.difficulty-btn[data-variant]').forEach(b => {
+        b.disabled = boardSize !== 9 && b.dataset.variant !== 'classic';
+    });
+    buildLegend();
+}
+
+// ─── Verify Board ────────────────────────────────────────
+// Mirrors Java's evalid() + etest(9) — checks if the user's
+// input is valid and/or already a complete solution.
+function verifyBoard() {
+    const board = readBoard();
+
+    // Count filled cells
+    let filledCount = 0;
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            if (board[r][c] !== 0) filledCount++;
+        }
+    }
+
+    if (filledCount === 0) {
+        setStatus('Board is empty — nothing to verify.', 'warning');
+        return;
+    }
+
+    const conflicts = validateBoard(board, constraints);
+
     if (conflicts.length > 0) {
         highlightErrors(conflicts);
-        setStatus(`❌ Invalid: ${conflicts.length} conflict(s) found.`, 'error');
+        const entryConflicts = conflicts.filter(({ row, col }) => !givenCells[row][col]);
+        setStatus(entryConflicts.length === conflicts.length && hasGivens()
+            ? `❌ ${conflicts.length} of your entries conflict.`
+            : `❌ Invalid: ${conflicts.length} conflict(s) found.`, 'error');
     } else {
         highlightErrors([]);
-        if (isBoardComplete(board)) {
+        const wrong = currentSolution ? board.flatMap((row, r) => row
+            .map((val, c) => ({ row: r, col: c, val }))
+            .filter(({ row, col, val }) => val !== 0 && val !== currentSolution[row][col])) : [];
+        if (wrong.length > 0) {
+            highlightErrors(wrong);
+            setStatus(`❌ No conflicts yet, but ${wrong.length} entr${wrong.length === 1 ? 'y doesn\'t' : 'ies don\'t'} match the solution.`, 'error');
+        } else if (isBoardComplete(board)) {
             setStatus('🎉 Your input is a valid Sudoku solution!', 'success');
         } else {
-            setStatus(`✅ Valid so far! ${filledCount}/81 cells filled, no conflicts.`, 'success');
+            setStatus(`✅ Valid so far! ${filledCount}/${boardSize * boardSize} cells filled, no conflicts.`, 'success');
         }
     }
 }
 
-// ─── Generate Puzzle (Random or Sample) ──────────────────
-// Unified function: mirrors Java's option 1 ("generate a random solution")
-// and option 2 ("input a new puzzle" via preset sample).
-// The sample puzzle comes from the Java repo's sam[][] array.
-function generateRandomPuzzle() {
-    clearBoard();
+// ─── Solution Analysis ───────────────────────────────────
+// Proves whether the puzzle has no, one or several solutions
+// (analyzeBoard in logic.js). A contradiction is outlined on the board;
+// two differing solutions are shown side by side in a dialog.
+
+// The puzzle as posed — givens and player entries, without the digits
+// the solver filled in
+function puzzleBoard() {
+    return readBoard().map((row, r) => row.map((val, c) => (userCells[r][c] ? val : 0)));
+}
+
+function analyzePuzzle() {
+    const board = puzzleBoard();
+    if (board.every(row => row.every(v => v === 0))) {
+        setStatus('Board is empty — enter a puzzle to analyze.', 'warning');
+        return;
+    }
+    setStatus('🔍 Analyzing...', '');
+    runJob('analyze', { board, ...variantPayload() }).then((result) => {
+        if (result) showAnalysis(board, result);
+    }).catch((err) => setStatus(`❌ Analysis error: ${err.message}`, 'error'));
+}
+
+// `failedSolver` names the solver strategy when this explains a failed Solve
+function showAnalysis(board, result, failedSolver = null) {
+    clearContradiction();
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    if (result.verdict === 'conflict') {
+        highlightErrors(result.conflicts);
+        setStatus(`❌ The board breaks the rules — ${plural(result.conflicts.length, 'conflicting cell')}.`, 'error');
+    } else if (result.verdict === 'none') {
+        setStatus(`❌ No solution: ${describeContradiction(result)}.`, 'error');
+    } else if (result.verdict === 'unknown') {
+        setStatus('❓ The grid is too open to prove how many solutions it has.', 'warning');
+    } else if (failedSolver) {
+        setStatus(`❌ ${failedSolver} gave up, but the puzzle does have a solution — try a faster solver strategy.`, 'error');
+    } else if (result.verdict === 'unique') {
+        setStatus('✅ Exactly one solution — this is a proper puzzle.', 'success');
+    } else {
+        showSolutionPair(board, result);
+        setStatus(`⚠️ More than one solution — two of them differ in ${plural(result.differences.length, 'cell')}.`, 'warning');
+    }
+}
+
+// Explain a 'none' result and outline the cells it is about
+function describeContradiction({ contradiction, steps, branch }) {
+    if (contradiction) {
+        // A digit with no place: outline the unit's empty cells
+        const board = readBoard();
+        markContradiction(contradiction.cells.filter(({ row, col }) => board[row][col] === 0));
+        return steps.length > 0
+            ? `after ${steps.length} logical step${steps.length === 1 ? '' : 's'}, ${contradiction.description}`
+            : contradiction.description;
+    }
+    // Logic got stuck — every option of one cell fails
+    markContradiction([branch.cell]);
+    const options = branch.options.map(({ value, contradiction: c }) =>
+        `${digitSymbol(value)} → ${c ? c.description : 'fails deeper in the search'}`);
+    return `every candidate for ${cellName(branch.cell.row, branch.cell.col)} leads to a contradiction (${options.join('; ')})`;
+}
+
+function markContradiction(cells) {
+    for (const { row, col } of cells) {
+        document.getElementById(`cell-${row}-${col}`).classList.add('contradiction');
+    }
+}
+
+function clearContradiction() {
+    document.querySelectorAll('.contradiction').forEach(el => el.classList.remove('contradiction'));
+}
+
+// Two solutions side by side, cells where they differ highlighted
+function showSolutionPair(board, { solutions, differences }) {
+    const { rows, cols } = boxShape(board.length);
+    const differs = new Set(differences.map(({ row, col }) => `${row},${col}`));
+    const renderBoard = (solution, title) => {
+        const cells = solution.map((row, r) => row.map((val, c) => {
+            const classes = ['mini-cell'];
+            if (board[r][c] !== 0) classes.push('given');
+            if (differs.has(`${r},${c}`)) classes.push('differs');
+            if (c % cols === cols - 1 && c < board.length - 1) classes.push('border-right-thick');
+            if (r % rows === rows - 1 && r < board.length - 1) classes.push('border-bottom-thick');
+            return `<span class="${classes.join(' ')}">${digitSymbol(val)}</span>`;
+        }).join('')).join('');
+        return `
+            <figure class="analysis-solution">
+                <div class="mini-board" style="--mini-size: ${board.length}">${cells}</div>
+                <figcaption>${title}</figcaption>
+            </figure>`;
+    };
+    document.getElementById('analysis-message').textContent =
+        `Both grids below fit every clue. They differ in the ${differences.length} highlighted cells, ` +
+        'so at least one more clue is needed there to make the answer unique.';
+    document.getElementById('analysis-boards').innerHTML =
+        renderBoard(solutions[0], 'Solution A') + renderBoard(solutions[1], 'Solution B');
+    analysisOverlay.classList.remove('hidden');
+}
+
+// ─── Hints ───────────────────────────────────────────────
+// Each press on an unchanged board goes one level deeper:
+//   1 — highlight the region to look at
+//   2 — name the technique (or the wrong cell)
+//   3 — place the digit
+function giveHint() {
+    if (viz) stopVisualization();
+    const board = readBoard();
+
+    // With a known solution, wrong entries are pointed out by the hint itself
+    const conflicts = validateBoard(board, constraints);
+    if (conflicts.length > 0 && !currentSolution) {
+        highlightErrors(conflicts);
+        setStatus('Fix the highlighted conflicts before asking for a hint.', 'warning');
+        return;
+    }
+    if (isBoardComplete(board) && conflicts.length === 0) {
+        setStatus('The board is already full — no hint needed.', 'warning');
+        return;
+    }
+
+    const key = board.flat().join('');
+    if (hintState && hintState.key === key) {
+        showHintLevel(Math.min(hintState.level + 1, 3));
+        return;
+    }
+
+    resolveHintSolution(board).then((solution) => {
+        if (solution === undefined) return; // cancelled
+        const hint = findHint(board, solution);
+        if (!hint) {
+            setStatus('❌ No solution from here — check your entries.', 'error');
+            return;
+        }
+        hintState = { key, level: 0, hint };
+        showHintLevel(1);
+    }).catch((err) => setStatus(`❌ Solver error: ${err.message}`, 'error'));
+}
+
+// The generator's solution when there is one; otherwise a solve of the
+// current board. Resolves to null if the board has no solution and to
+// undefined if the solve was cancelled.
+function resolveHintSolution(board) {
+    if (currentSolution) return Promise.resolve(currentSolution);
+
+    const fits = hintSolution && board.every((row, r) =>
+        row.every((val, c) => val === 0 || val === hintSolution[r][c]));
+    if (fits) return Promise.resolve(hintSolution);
+
+    setStatus('⏳ Solving for a hint...', '');
+    return runJob('solve', { board, ...variantPayload() }).then((result) => {
+        if (!result) return undefined;
+        hintSolution = result.stats.solved ? result.board : null;
+        return hintSolution;
+    });
+}
 
-    const difficulty = activeDifficulty;
+function showHintLevel(level) {
+    const { hint } = hintState;
+    hintState.level = level;
+    hintsUsed++;
+
+    const region = hint.units.map(unitName).join(' / ');
+    const target = hint.kind === 'mistake' ? hint.cell : hint.placement;
+    const where = cellName(target.row, target.col);
+
+    if (level === 1) {
+        highlightHint(hint.units, []);
+        setStatus(hint.kind === 'mistake'
+            ? `💡 Something in ${region} is wrong.`
+            : `💡 Look closely at ${region}.`, 'warning');
+    } else if (level === 2) {
+        highlightHint(hint.units, hint.kind === 'mistake' ? [hint.cell] : hint.cells);
+        setStatus(hint.kind === 'mistake'
+            ? `💡 ${where} doesn't match the solution.`
+            : `💡 Look for a ${hint.technique} around ${region}.`, 'warning');
+    } else {
+        clearHintHighlight();
+        placeDigit(target.row, target.col, hint.kind === 'mistake' ? hint.value : target.value);
+        setStatus(hint.kind === 'mistake'
+            ? `💡 ${where} corrected to ${digitSymbol(hint.value)}.`
+            : `💡 ${where} is ${digitSymbol(target.value)} (${hint.technique}).`, 'success');
+    }
+    showStats();
+}
 
-    // ── Random generation with difficulty ──
-    let clues;
-    switch (difficulty) {
-        case 'easy': clues = 42; break;
-        case 'medium': clues = 32; break;
-        case 'hard': clues = 24; break;
-        default: clues = 32;
+function highlightHint(units, cells) {
+    clearHintHighlight();
+    for (const { type, index } of units) {
+        const unit = getUnits(boardSize).find(u => u.type === type && u.index === index);
+        for (const [r, c] of unit.cells) {
+            document.getElementById(`cell-${r}-${c}`).classList.add('hint-region');
+        }
+    }
+    for (const { row, col } of cells) {
+        document.getElementById(`cell-${row}-${col}`).classList.add('hint-cell');
     }
+}
+
+function clearHintHighlight() {
+    document.querySelectorAll('.hint-region, .hint-cell')
+        .forEach(el => el.classList.remove('hint-region', 'hint-cell'));
+}
+
+// Place a digit as a player entry (used by hints)
+function placeDigit(r, c, val) {
+    const cell = document.getElementById(`cell-${r}-${c}`);
+    cell.value = digitSymbol(val);
+    cell.classList.add('user-input');
+    cell.classList.remove('solved', 'error');
+    userCells[r][c] = true;
+    clearNotes(r, c);
+    clearPeerNotes(r, c, val);
+    applyHeatmapColors();
+    markMistakes();
+    commitHistory();
+    checkForWin();
+}
 
+// ─── Generate Puzzle (Random or Sample) ──────────────────
+// Unified function: mirrors Java's option 1 ("generate a random solution")
+// and option 2 ("input a new puzzle" via preset sample).
+// The sample puzzle comes from the Java repo's sam[][] array.
+// `daily` (a YYYY-MM-DD date) generates that day's puzzle instead of
+// one from the settings; otherwise the Seed field, if filled, fixes the
+// puzzle that comes out.
+function generateRandomPuzzle(daily = null) {
+    const difficulty = daily ? DAILY_DIFFICULTY : activeDifficulty;
+    const seed = daily ? `daily-${daily}` : (seedInput && seedInput.value.trim()) || undefined;
+
+    // ── Generate until the logical grade matches the difficulty ──
     setStatus('⏳ Generating puzzle...', '');
 
-    setTimeout(() => {
-        const { puzzle, solution, stats } = generatePuzzle(clues);
+    runJob('generate', { difficulty, variant: activeVariant, size: boardSize, seed }, showStats).then((result) => {
+        if (!result) return; // cancelled — the board is left as it was
+        const { puzzle, solution, clues, cages, grade, attempts, stats } = result;
+        // Clear + generate is recorded as one undo step
+        clearBoard(false);
         currentSolution = solution;
+        writeGivens(puzzle);
+        setVariant(activeVariant, cages);
 
-        // Write puzzle to board — mark given cells as locked
-        for (let r = 0; r < 9; r++) {
-            for (let c = 0; c < 9; c++) {
-                const cell = document.getElementById(`cell-${r}-${c}`);
-                const val = puzzle[r][c];
-                if (val !== 0) {
-                    cell.value = val;
-                    cell.classList.add('user-input', 'given');
-                    userCells[r][c] = true;
-                }
+        gameSeed = result.seed;
+        dailyDate = daily;
+        gameLabel = daily ? `Daily ${daily}` : grade.variant ? `${grade.variant} ${grade.label}` : grade.label;
+        resetGameClock();
+        applyHeatmapColors();
+        commitHistory();
+        setStatus(daily
+            ? `📅 Daily puzzle for ${daily} — everyone gets this board today. Good luck!`
+            : `🎲 ${formatGrade(grade)} puzzle generated (${clues} clues). Good luck!`, 'success');
+        showStats({ ...stats, attempts, grade, seed: result.seed });
+    }).catch((err) => setStatus(`❌ Generator error: ${err.message}`, 'error'));
+}
+
+// Write a puzzle's clues onto an empty board and lock them as givens
+function writeGivens(puzzle) {
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            const val = puzzle[r][c];
+            if (val !== 0) {
+                document.getElementById(`cell-${r}-${c}`).value = digitSymbol(val);
+                userCells[r][c] = true;
+                setGiven(r, c, true);
             }
         }
+    }
+}
 
-        applyHeatmapColors();
-        const diffLabel = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
-        setStatus(`🎲 ${diffLabel} puzzle generated (${clues} clues). Good luck!`, 'success');
-        showStats(stats);
-    }, 50);
+function setGiven(r, c, given) {
+    const cell = document.getElementById(`cell-${r}-${c}`);
+    givenCells[r][c] = given;
+    cell.readOnly = given;
+    cell.classList.toggle('given', given);
+    if (given) cell.classList.add('user-input');
+}
+
+function hasGivens() {
+    return givenCells.some(row => row.some(Boolean));
+}
+
+// The puzzle's clues alone, as a board
+function readGivens() {
+    const board = readBoard();
+    return board.map((row, r) => row.map((val, c) => (givenCells[r][c] ? val : 0)));
 }
 
 // ─── Clear Board ─────────────────────────────────────────
-function clearBoard() {
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
+// `record` = false leaves the history alone (the caller records instead)
+function clearBoard(record = true) {
+    if (viz) endVisualization();
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
             const cell = document.getElementById(`cell-${r}-${c}`);
             cell.value = '';
-            cell.classList.remove('user-input', 'solved', 'error', 'given');
+            cell.classList.remove('user-input', 'solved', 'error', 'mistake');
             cell.style.animationDelay = '';
             userCells[r][c] = false;
+            setGiven(r, c, false);
         }
     }
+    cellNotes = createEmptyNotes();
+    clearUncertain();
+    clearContradiction();
     currentSolution = null;
+    solveOrder = null;
+    setVariant(activeVariant, []);
+    gameLabel = 'Custom';
+    gameSeed = null;
+    dailyDate = null;
+    resetGameClock();
+    hintsUsed = 0;
+    mistakes = 0;
+    hintState = null;
+    hintSolution = null;
+    clearHintHighlight();
     applyHeatmapColors();
     clearStatus();
     clearStats();
+    if (record) commitHistory();
+}
+
+// ─── Undo / Redo ─────────────────────────────────────────
+function captureState() {
+    return {
+        board: readBoard(),
+        userCells: userCells.map(row => [...row]),
+        givens: givenCells.map(row => [...row]),
+        notes: cellNotes.map(row => row.map(n => ({ corner: [...n.corner], center: [...n.center] }))),
+        solution: currentSolution,
+        order: solveOrder,
+        variant: activeVariant,
+        cages: killerCages,
+        label: gameLabel,
+        seed: gameSeed,
+        daily: dailyDate,
+        hintsUsed,
+        mistakes,
+    };
+}
+
+function restoreState(state) {
+    if (viz) endVisualization();
+    if (state.board.length !== boardSize) setBoardSize(state.board.length);
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            const cell = document.getElementById(`cell-${r}-${c}`);
+            const val = state.board[r][c];
+            cell.value = val === 0 ? '' : digitSymbol(val);
+            cell.classList.remove('solved', 'error');
+            cell.classList.toggle('user-input', state.userCells[r][c]);
+            setGiven(r, c, state.givens[r][c]);
+            cell.style.animationDelay = '';
+        }
+    }
+    clearUncertain();
+    clearContradiction();
+    userCells = state.userCells.map(row => [...row]);
+    cellNotes = state.notes.map(row => row.map(n => ({ corner: new Set(n.corner), center: new Set(n.center) })));
+    currentSolution = state.solution;
+    solveOrder = state.order || null;
+    setVariant(state.variant || 'classic', state.cages || []);
+    gameLabel = state.label;
+    gameSeed = state.seed || null;
+    dailyDate = state.daily || null;
+    // Undoing never refunds hints, but undoing a Clear brings the count back
+    hintsUsed = Math.max(hintsUsed, state.hintsUsed);
+    mistakes = Math.max(mistakes, state.mistakes || 0);
+    hintState = null;
+    clearHintHighlight();
+    applyHeatmapColors();
+    markMistakes();
+    updateGameBar();
+    clearStats();
+}
+
+// Record the board as it is now. Call after every change; a change that
+// leaves the game state identical is not recorded.
+function commitHistory() {
+    const state = captureState();
+    if (presentState && JSON.stringify(state) === JSON.stringify(presentState)) return;
+    if (presentState) {
+        undoStack.push(presentState);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    presentState = state;
+    redoStack = [];
+    updateHistoryButtons();
+    updateGameClock();
+    saveActiveGame();
+}
+
+function resetHistory() {
+    undoStack = [];
+    redoStack = [];
+    presentState = captureState();
+    updateHistoryButtons();
+}
+
+function undo() {
+    if (viz) stopVisualization();
+    if (undoStack.length === 0) return;
+    redoStack.push(presentState);
+    presentState = undoStack.pop();
+    restoreState(presentState);
+    setStatus('↶ Undone', '');
+    updateHistoryButtons();
+    updateGameClock();
+    saveActiveGame();
+}
+
+function redo() {
+    if (viz) stopVisualization();
+    if (redoStack.length === 0) return;
+    undoStack.push(presentState);
+    presentState = redoStack.pop();
+    restoreState(presentState);
+    setStatus('↷ Redone', '');
+    updateHistoryButtons();
+    updateGameClock();
+    saveActiveGame();
+}
+
+function updateHistoryButtons() {
+    if (btnUndo) btnUndo.disabled = undoStack.length === 0;
+    if (btnRedo) btnRedo.disabled = redoStack.length === 0;
+}
+
+// ─── Import / Export ─────────────────────────────────────
+// Exports are of the puzzle: its given cells when it has any,
+// otherwise everything on the board.
+function readPuzzle() {
+    return hasGivens() ? readGivens() : readBoard();
+}
+
+// Load a parsed puzzle as a new set of givens (one undo step). Its
+// solutions are counted in the background, so a sparse or hard import
+// can't freeze the page; the undo step is recorded once the count is in.
+function loadPuzzle(puzzle, source) {
+    if (puzzle.length !== boardSize) setBoardSize(puzzle.length);
+    clearBoard(false);
+    writeGivens(puzzle);
+    gameLabel = 'Imported';
+    resetGameClock();
+    applyHeatmapColors();
+    setStatus(`⏳ Imported from ${source} — checking its solutions...`, '');
+
+    const clues = puzzle.flat().filter(v => v !== 0).length;
+    runJob('analyze', { board: puzzle, ...variantPayload() }).then((result) => {
+        currentSolution = result && result.verdict === 'unique' ? result.solution : null;
+        commitHistory();
+        if (!result) {
+            setStatus(`📥 Puzzle imported from ${source} (${clues} clues) — solution check cancelled.`, 'warning');
+        } else if (result.verdict === 'conflict') {
+            highlightErrors(result.conflicts);
+            setStatus(`📥 Imported from ${source}, but it has ${result.conflicts.length} conflict(s).`, 'warning');
+        } else if (result.verdict === 'unknown') {
+            setStatus(`📥 Puzzle imported from ${source} (${clues} clues) — too open to check for a unique solution.`, 'warning');
+        } else if (result.verdict === 'none') {
+            setStatus(`📥 Imported from ${source}, but it has no solution.`, 'warning');
+        } else if (result.verdict === 'multiple') {
+            setStatus(`📥 Imported from ${source} (${clues} clues) — it has more than one solution.`, 'warning');
+        } else {
+            setStatus(`📥 Puzzle imported from ${source} (${clues} clues).`, 'success');
+        }
+    }).catch((err) => {
+        commitHistory();
+        setStatus(`❌ Could not check the imported puzzle: ${err.message}`, 'error');
+    });
+}
+
+// Parse text and load its first puzzle. Returns an error message or null.
+function importText(text, source) {
+    let puzzles;
+    try {
+        puzzles = parsePuzzles(text);
+    } catch (err) {
+        return err.message;
+    }
+    loadPuzzle(puzzles[0], puzzles.length > 1 ? `${source} (puzzle 1 of ${puzzles.length})` : source);
+    return null;
+}
+
+function shareLink(puzzle) {
+    return `${location.origin}${location.pathname}#p=${boardToString(puzzle)}`;
+}
+
+// Load a puzzle shared as #p=… into a new saved game. A malformed
+// link is reported and leaves the saved games alone.
+function importFromHash() {
+    const match = location.hash.match(/^#p=(.*)$/);
+    if (!match) return;
+    history.replaceState(null, '', location.pathname + location.search);
+    let puzzles;
+    try {
+        puzzles = parsePuzzles(decodeURIComponent(match[1]));
+    } catch (err) {
+        setStatus(`❌ Shared link is malformed: ${err.message}`, 'error');
+        return;
+    }
+    newGame();
+    loadPuzzle(puzzles[0], 'link');
+}
+
+function openIoModal() {
+    ioMessage.textContent = '';
+    ioMessage.className = 'io-message';
+    ioOverlay.classList.remove('hidden');
+    ioText.focus();
+}
+
+function closeIoModal() {
+    ioOverlay.classList.add('hidden');
+}
+
+function setIoMessage(msg, type) {
+    ioMessage.textContent = msg;
+    ioMessage.className = `io-message ${type}`;
+}
+
+// Show an export in the text box and copy it to the clipboard
+function exportText(text, what) {
+    ioText.value = text;
+    ioText.select();
+    const done = () => setIoMessage(`${what} copied to the clipboard.`, 'success');
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).then(done, () =>
+            setIoMessage(`${what} is in the box above — copy it from there.`, 'success'));
+    } else {
+        setIoMessage(`${what} is in the box above — copy it from there.`, 'success');
+    }
+}
+
+function downloadText(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function downloadSdk(puzzle) {
+    downloadText(boardToSdk(puzzle), 'sudoku.sdk');
+}
+
+// ─── Print & SVG Export ──────────────────────────────────
+// Puzzle sheets for paper: the current puzzle or a batch of new ones,
+// drawn by boardToSvg() and laid out for printing (or "Save as PDF")
+// in a hidden frame, or saved as one SVG. Everything stays in the page.
+// A sheet is { title, puzzle, solution, variant, cages }.
+const PRINT_BATCH_LIMIT = 24;
+const PRINT_LAYOUTS = { 1: [1, 1], 2: [1, 2], 4: [2, 2], 6: [2, 3] }; // per page → [columns, rows]
+const PRINT_CELL_SIZE = 40;
+
+// The last batch, reused while its settings don't change so Print and
+// SVG show the same puzzles: { key, sheets }
+let printBatch = null;
+let printGenerating = false;
+
+function printSource() {
+    return document.querySelector('input[name="print-source"]:checked').value;
+}
+
+function batchLabel() {
+    const grade = DIFFICULTY_GRADES.find(g => g.key === activeDifficulty);
+    const variant = activeVariant === 'classic' ? '' : ` ${VARIANTS[activeVariant].name}`;
+    return `new ${grade.label}${variant} puzzles`;
+}
+
+function openPrintModal() {
+    printBatch = null;
+    document.getElementById('print-batch-label').textContent = batchLabel();
+    setPrintMessage('', '');
+    printOverlay.classList.remove('hidden');
+}
+
+function closePrintModal() {
+    if (printGenerating) {
+        cancelJob();
+        setStatus('Cancelled.', 'warning');
+    }
+    printOverlay.classList.add('hidden');
+}
+
+function setPrintMessage(msg, type) {
+    printMessage.textContent = msg;
+    printMessage.className = `io-message ${type}`;
+}
+
+// Without givens the puzzle is what the player typed in or imported
+// from a photo — not the digits the solver added
+function currentSheet() {
+    const seed = gameSeed ? ` · seed ${gameSeed}` : '';
+    return {
+        title: `${gameLabel}${seed}`,
+        puzzle: hasGivens() ? readGivens() : puzzleBoard(),
+        solution: currentSolution,
+        variant: activeVariant,
+        cages: killerCages,
+    };
+}
+
+// Generate `count` puzzles one after another in the background. With the
+// Seed field filled, puzzle i is seeded "<seed>/<i>" like the CLI's
+// batches. Resolves with the sheets, or null if cancelled.
+async function generateSheets(count) {
+    const base = seedInput.value.trim();
+    const sheets = [];
+    printGenerating = true;
+    try {
+        for (let i = 0; i < count; i++) {
+            setPrintMessage(`⏳ Generating puzzle ${i + 1} of ${count}…`, '');
+            const seed = base ? `${base}/${i + 1}` : undefined;
+            const result = await runJob('generate', { difficulty: activeDifficulty, variant: activeVariant, size: boardSize, seed });
+            if (!result) {
+                setPrintMessage('Cancelled.', 'warning');
+                return null;
+            }
+            const { puzzle, solution, cages, grade } = result;
+            const label = grade.variant ? `${grade.variant} ${grade.label}` : grade.label;
+            sheets.push({
+                title: `${label} #${i + 1}${seed ? ` · seed ${seed}` : ''}`,
+                puzzle,
+                solution,
+                variant: activeVariant,
+                cages,
+            });
+        }
+        return sheets;
+    } finally {
+        printGenerating = false;
+    }
+}
+
+// The sheets for the chosen source, or null if there are none
+async function collectSheets() {
+    if (printSource() === 'current') {
+        const sheet = currentSheet();
+        if (sheet.puzzle.flat().every(v => v === 0)) {
+            setPrintMessage('❌ The board is empty — enter or generate a puzzle first.', 'error');
+            return null;
+        }
+        return [sheet];
+    }
+    const count = Number(document.getElementById('print-count').value);
+    if (!Number.isInteger(count) || count < 1 || count > PRINT_BATCH_LIMIT) {
+        setPrintMessage(`❌ Choose between 1 and ${PRINT_BATCH_LIMIT} puzzles.`, 'error');
+        return null;
+    }
+    const key = JSON.stringify([count, activeDifficulty, activeVariant, boardSize, seedInput.value.trim()]);
+    if (printBatch && printBatch.key === key) return printBatch.sheets;
+    if (activeJob) {
+        setPrintMessage('❌ Wait for the running job to finish first.', 'error');
+        return null;
+    }
+    const sheets = await generateSheets(count);
+    if (sheets) printBatch = { key, sheets };
+    return sheets;
+}
+
+// Palette colors for the filled cells of `board` (empty cells stay white)
+function sheetColors(board) {
+    const colors = paletteColors();
+    const fills = board.map(row => row.map(v => (v === 0 ? null : colors[v])));
+    return { fills, inks: fills.map(row => row.map(bg => (bg ? getTextColor(bg) : null))) };
+}
+
+// SVG of every grid — the puzzles, then the answer key if asked for.
+// Returns { grids, puzzles, skipped }: how many of the grids are puzzles,
+// and how many answers are missing because the solution isn't known.
+function sheetGrids(sheets, { answers, colors }) {
+    const draw = (board, givens, sheet, title) => boardToSvg(board, {
+        title,
+        cellSize: PRINT_CELL_SIZE,
+        givens,
+        regions: VARIANTS[sheet.variant].regions,
+        cages: sheet.cages,
+        ...(colors ? sheetColors(board) : {}),
+    });
+    const grids = sheets.map(sheet => draw(sheet.puzzle, null, sheet, sheet.title));
+    const solved = answers ? sheets.filter(sheet => sheet.solution) : [];
+    for (const sheet of solved) {
+        const givens = sheet.puzzle.map(row => row.map(v => v !== 0));
+        grids.push(draw(sheet.solution, givens, sheet, `Answer — ${sheet.title}`));
+    }
+    return { grids, puzzles: sheets.length, skipped: answers ? sheets.length - solved.length : 0 };
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+// Printable HTML: puzzle pages first, answer pages after them
+function printLayout({ grids, puzzles }, perPage) {
+    const [columns, rows] = PRINT_LAYOUTS[perPage];
+    const pages = [...chunk(grids.slice(0, puzzles), perPage), ...chunk(grids.slice(puzzles), perPage)];
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Sudoku</title><style>
+@page { margin: 12mm; }
+body { margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.page { display: grid; grid-template-columns: repeat(${columns}, 1fr); gap: 6mm; break-after: page; }
+.page:last-child { break-after: auto; }
+.page svg { width: 100%; height: ${Math.floor(250 / rows) - 6}mm; }
+</style></head><body>
+${pages.map(page => `<section class="page">${page.join('')}</section>`).join('\n')}
+</body></html>`;
+}
+
+// One SVG with every grid, in the columns of the print layout
+function sheetSvg({ grids }, perPage) {
+    if (grids.length === 1) return grids[0];
+    // Every grid of a batch has the same size
+    const [width, height] = grids[0].match(/ width="([\d.]+)" height="([\d.]+)"/).slice(1).map(Number);
+    const columns = Math.min(PRINT_LAYOUTS[perPage][0], grids.length);
+    const gap = PRINT_CELL_SIZE / 2;
+    const placed = grids.map((svg, i) =>
+        `<g transform="translate(${(i % columns) * (width + gap)} ${Math.floor(i / columns) * (height + gap)})">${svg}</g>`);
+    const rows = Math.ceil(grids.length / columns);
+    const total = [columns * width + (columns - 1) * gap, rows * height + (rows - 1) * gap];
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${total[0]}" height="${total[1]}" viewBox="0 0 ${total.join(' ')}">`
+        + `<rect width="100%" height="100%" fill="#fff"/>${placed.join('')}</svg>`;
+}
+
+function printSheets(layout) {
+    let frame = document.getElementById('print-frame');
+    if (!frame) {
+        frame = document.createElement('iframe');
+        frame.id = 'print-frame';
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        document.body.appendChild(frame);
+    }
+    frame.onload = () => frame.contentWindow.print();
+    frame.srcdoc = layout;
+}
+
+// Print or download the chosen sheets
+async function exportSheets(format) {
+    const sheets = await collectSheets();
+    if (!sheets) return;
+    const perPage = Number(document.getElementById('print-per-page').value);
+    const grids = sheetGrids(sheets, {
+        answers: document.getElementById('print-answers').checked,
+        colors: document.getElementById('print-colors').checked,
+    });
+    const what = sheets.length === 1 ? 'puzzle' : `${sheets.length} puzzles`;
+    // Only the current puzzle can lack a solution (typed in, or imported
+    // with several)
+    const note = grids.skipped > 0 ? ' No answer key — the solution isn\'t known.' : '';
+    if (format === 'svg') {
+        const filename = sheets.length === 1 ? 'sudoku.svg' : 'sudoku-sheet.svg';
+        downloadText(sheetSvg(grids, perPage), filename, 'image/svg+xml');
+        setPrintMessage(`${filename} downloaded (${what}).${note}`, note ? 'warning' : 'success');
+    } else {
+        printSheets(printLayout(grids, perPage));
+        setPrintMessage(`Print layout ready (${what}).${note}`, note ? 'warning' : 'success');
+    }
+}
+
+// ─── Photo Import ────────────────────────────────────────
+// Images are read by ocr.js in the worker — nothing leaves the browser.
+// The grid is written as ordinary entries, not givens, so a misread
+// digit is fixed by typing over it; doubtful readings stay marked
+// until then.
+const OCR_MAX_SIDE = 1000; // larger images are scaled down first
+
+// Decode an image file into RGBA pixels
+function imageToPixels(blob) {
+    return createImageBitmap(blob).then((bitmap) => {
+        const scale = Math.min(1, OCR_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    });
+}
+
+function importImage(blob, source) {
+    if (!blob.type.startsWith('image/')) {
+        setStatus(`❌ ${source} is not an image.`, 'error');
+        return;
+    }
+    closeIoModal();
+    setStatus('📷 Reading the puzzle from the image...', '');
+    imageToPixels(blob)
+        .then(image => runJob('recognize', { image }))
+        .then((result) => {
+            if (result) loadRecognized(result, source);
+        })
+        .catch(err => setStatus(`❌ Couldn't read ${source}: ${err.message}`, 'error'));
+}
+
+// A read with conflicts (usually a misread digit) doesn't replace the
+// board: it goes into the Import box to be corrected first.
+function loadRecognized({ board, uncertain }, source) {
+    const digits = board.flat().filter(v => v !== 0).length;
+    const conflicts = validateBoard(board);
+    if (conflicts.length > 0) {
+        const cells = list => list.map(({ row, col }) => cellName(row, col)).join(', ');
+        openIoModal();
+        ioText.value = boardToSdk(board);
+        setIoMessage(`📷 Read ${digits} digits from ${source}, but ${cells(conflicts)} clash`
+            + (uncertain.length > 0 ? ` (unsure: ${cells(uncertain)})` : '')
+            + ' — correct the grid and Import it.', 'warning');
+        setStatus(`📷 The reading of ${source} has conflicts — your board was left as it was.`, 'warning');
+        return;
+    }
+
+    if (boardSize !== 9) setBoardSize(9);
+    clearBoard(false);
+    userCells = board.map(row => row.map(val => val !== 0));
+    writeBoard(board);
+    for (let r = 0; r < 9; r++) {
+        for (let c = 0; c < 9; c++) {
+            document.getElementById(`cell-${r}-${c}`).classList.toggle('user-input', board[r][c] !== 0);
+        }
+    }
+    for (const { row, col } of uncertain) {
+        document.getElementById(`cell-${row}-${col}`).classList.add('ocr-uncertain');
+    }
+    gameLabel = 'Photo';
+    resetGameClock();
+    commitHistory();
+
+    setStatus(uncertain.length > 0
+        ? `📷 Read ${digits} digits from ${source} — check ${uncertain.length} unsure reading${uncertain.length === 1 ? '' : 's'} (dotted).`
+        : `📷 Read ${digits} digits from ${source}. Check them against the picture before solving.`,
+    uncertain.length > 0 ? 'warning' : 'success');
+}
+
+function clearUncertain() {
+    document.querySelectorAll('.ocr-uncertain').forEach(el => el.classList.remove('ocr-uncertain'));
+}
+
+// ─── Game Clock ──────────────────────────────────────────
+function resetGameClock(ms = 0) {
+    gameElapsedMs = ms;
+    gameClockStart = null;
+}
+
+function getGameElapsed() {
+    return gameElapsedMs + (gameClockStart === null ? 0 : performance.now() - gameClockStart);
+}
+
+// Run the clock while there is an unfinished game on the board
+function updateGameClock() {
+    const board = readBoard();
+    const inProgress = board.some(row => row.some(v => v !== 0)) && !isBoardComplete(board);
+    if (inProgress && !document.hidden) {
+        if (gameClockStart === null) gameClockStart = performance.now();
+    } else if (gameClockStart !== null) {
+        gameElapsedMs += performance.now() - gameClockStart;
+        gameClockStart = null;
+    }
+}
+
+// ─── Play Mode ───────────────────────────────────────────
+function setPlayOptions(play, check, limit) {
+    playMode = play;
+    instantCheck = check;
+    mistakeLimit = limit;
+
+    if (btnPlayMode) {
+        btnPlayMode.classList.toggle('active', play);
+        btnPlayMode.setAttribute('aria-pressed', play);
+    }
+    if (btnMistakeCheck) {
+        btnMistakeCheck.classList.toggle('active', check);
+        btnMistakeCheck.setAttribute('aria-pressed', check);
+    }
+    if (mistakeLimitSelect) mistakeLimitSelect.value = String(limit);
+
+    clearInterval(timerInterval);
+    timerInterval = play ? setInterval(updateGameBar, 1000) : null;
+    markMistakes();
+    updateGameBar();
+}
+
+// Count a new entry as a mistake if it disagrees with the solution
+function checkEntry(r, c, val) {
+    if (!playMode || !instantCheck || !currentSolution) return;
+    if (val === currentSolution[r][c]) return;
+
+    mistakes++;
+    updateGameBar();
+    if (mistakeLimit > 0 && mistakes === mistakeLimit) {
+        showResult(false);
+    } else {
+        const limit = mistakeLimit > 0 ? `/${mistakeLimit}` : '';
+        setStatus(`✖ Mistake ${mistakes}${limit} — ${cellName(r, c)} isn't ${digitSymbol(val)}.`, 'error');
+    }
+}
+
+// Mark every player entry that disagrees with the solution
+function markMistakes() {
+    const show = playMode && instantCheck && currentSolution;
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            const cell = document.getElementById(`cell-${r}-${c}`);
+            const wrong = show && cell.value !== '' && !givenCells[r][c] &&
+                symbolValue(cell.value) !== currentSolution[r][c];
+            cell.classList.toggle('mistake', !!wrong);
+        }
+    }
+}
+
+function updateGameBar() {
+    if (!gameBar) return;
+    gameBar.classList.toggle('hidden', !playMode);
+    if (!playMode) return;
+    const limit = mistakeLimit > 0 ? `/${mistakeLimit}` : '';
+    gameBar.querySelector('.game-timer').textContent = `⏱ ${formatClock(getGameElapsed())}`;
+    gameBar.querySelector('.game-mistakes').textContent = `✖ ${mistakes}${limit}`;
+}
+
+// Show the completion screen when the player's entries finish the puzzle
+function checkForWin() {
+    if (!playMode && !dailyDate) return; // the daily puzzle is always timed
+    if (!isBoardSolved(readBoard(), constraints)) return;
+    updateGameClock();
+    if (dailyDate) recordDailyWin(dailyDate, getGameElapsed());
+    showResult(true);
+}
+
+// Completion (won = true) or game-over screen
+function showResult(won) {
+    document.getElementById('result-icon').textContent = won ? '🎉' : '💥';
+    document.getElementById('result-title').textContent = won ? 'Puzzle complete!' : 'Too many mistakes';
+    document.getElementById('result-stats').innerHTML = [
+        ['⏱ Time', formatClock(getGameElapsed())],
+        ['✖ Mistakes', mistakeLimit > 0 ? `${mistakes}/${mistakeLimit}` : mistakes],
+        ['💡 Hints', hintsUsed],
+        ...(won && dailyDate ? dailyResultRows() : []),
+    ].map(([label, value]) => `
+        <div class="stat-item">
+            <span class="stat-label">${label}</span>
+            <span class="stat-value">${value}</span>
+        </div>`).join('');
+    document.getElementById('result-close').textContent = won ? 'Close' : 'Keep trying';
+    resultOverlay.classList.remove('hidden');
+    setStatus(won ? '🎉 Solved! Well played.' : '💥 Mistake limit reached.', won ? 'success' : 'error');
+}
+
+// ─── Daily Puzzle ────────────────────────────────────────
+// One puzzle per calendar day, the same for everyone: its seed is the
+// local date, and size, variant and difficulty are fixed. Finishing
+// the day's puzzle on that day extends a streak kept apart from the
+// saved games, along with the best time.
+const DAILY_KEY = 'sudokuweb.daily';
+const DAILY_DIFFICULTY = 'medium';
+
+function dateKey(date = new Date()) {
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+function dayBefore(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return dateKey(new Date(y, m - 1, d - 1));
+}
+
+function loadDailyRecord() {
+    return loadJSON(DAILY_KEY, { lastDate: null, streak: 0, bestStreak: 0, bestMs: null });
+}
+
+// The streak still counts if the last daily was solved today or yesterday
+function currentStreak(record) {
+    const today = dateKey();
+    return record.lastDate === today || record.lastDate === dayBefore(today) ? record.streak : 0;
+}
+
+function startDailyPuzzle() {
+    const today = dateKey();
+    const existing = Object.values(savedGames.games).find(g => g.state && g.state.daily === today);
+    if (existing) {
+        switchGame(existing.id);
+        setStatus(`📅 Back to the daily puzzle for ${today}.`, 'success');
+        return;
+    }
+    newGame();
+    if (boardSize !== 9) setBoardSize(9);
+    setVariant('classic');
+    generateRandomPuzzle(today);
+}
+
+// Only the first finish of a daily, on its own day, counts
+function recordDailyWin(date, elapsedMs) {
+    const record = loadDailyRecord();
+    if (date !== dateKey() || record.lastDate === date) return;
+    record.streak = record.lastDate === dayBefore(date) ? record.streak + 1 : 1;
+    record.bestStreak = Math.max(record.bestStreak, record.streak);
+    record.bestMs = record.bestMs === null ? elapsedMs : Math.min(record.bestMs, elapsedMs);
+    record.lastDate = date;
+    saveJSON(DAILY_KEY, record);
+    renderDailyRecord();
+}
+
+function dailyResultRows() {
+    const record = loadDailyRecord();
+    return [
+        ['🔥 Streak', `${currentStreak(record)} day${currentStreak(record) === 1 ? '' : 's'}`],
+        ['🏆 Best daily', record.bestMs === null ? '—' : formatClock(record.bestMs)],
+    ];
+}
+
+function renderDailyRecord() {
+    if (!dailyRecordEl) return;
+    const record = loadDailyRecord();
+    const streak = currentStreak(record);
+    dailyRecordEl.textContent = record.bestMs === null
+        ? 'No dailies solved yet'
+        : `🔥 ${streak}-day streak · best ${formatClock(record.bestMs)}`;
+    dailyRecordEl.title = `Longest streak: ${record.bestStreak} day${record.bestStreak === 1 ? '' : 's'}`;
+}
+
+// ─── Saved Games ─────────────────────────────────────────
+// A stored value that isn't an object like `fallback` (null, a number,
+// an array...) is treated as corrupt too
+function loadJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        const value = raw ? JSON.parse(raw) : fallback;
+        return isPlainObject(value) ? value : fallback;
+    } catch (err) {
+        return fallback; // storage disabled or corrupt — start fresh
+    }
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function saveJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        // Storage full or disabled — keep playing without saving
+    }
+}
+
+function savePrefs() {
+    saveJSON(PREFS_KEY, {
+        palette: paletteEdit ? paletteEdit.previous : activePalette,
+        heatmap: heatmapMode,
+        difficulty: activeDifficulty,
+        strategy: activeStrategy,
+        playMode,
+        instantCheck,
+        mistakeLimit,
+    });
+}
+
+function saveActiveGame() {
+    if (!savedGames.activeId) return;
+    savedGames.games[savedGames.activeId] = {
+        id: savedGames.activeId,
+        updatedAt: Date.now(),
+        elapsedMs: getGameElapsed(),
+        state: presentState,
+    };
+
+    // Drop the least recently played games beyond the limit
+    const byAge = Object.values(savedGames.games).sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const game of byAge.slice(MAX_SAVED_GAMES)) delete savedGames.games[game.id];
+
+    saveJSON(GAMES_KEY, savedGames);
+    renderSavedGames();
+}
+
+function loadGame(id) {
+    const game = savedGames.games[id];
+    savedGames.activeId = id;
+    restoreState(game.state);
+    resetHistory();
+    resetGameClock(game.elapsedMs);
+    updateGameClock();
+    clearStatus();
+    saveJSON(GAMES_KEY, savedGames);
+    renderSavedGames();
+}
+
+function newGame() {
+    saveActiveGame();
+    savedGames.activeId = `g${Date.now().toString(36)}`;
+    clearBoard(false);
+    resetHistory();
+    saveActiveGame();
+}
+
+function switchGame(id) {
+    if (id === savedGames.activeId) return;
+    saveActiveGame();
+    loadGame(id);
+    setStatus('📂 Game resumed.', 'success');
+}
+
+function deleteGame(id) {
+    delete savedGames.games[id];
+    if (id !== savedGames.activeId) {
+        saveJSON(GAMES_KEY, savedGames);
+        renderSavedGames();
+        return;
+    }
+    // Deleted the game on the board — move to the most recent other one
+    const [next] = Object.values(savedGames.games).sort((a, b) => b.updatedAt - a.updatedAt);
+    savedGames.activeId = null;
+    if (next) {
+        loadGame(next.id);
+    } else {
+        newGame();
+    }
+}
+
+function renderSavedGames() {
+    if (!savedGamesList) return;
+    savedGamesList.innerHTML = '';
+    const games = Object.values(savedGames.games).sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const game of games) {
+        const cells = game.state.board.flat();
+        const filled = cells.filter(v => v !== 0).length;
+        const item = document.createElement('li');
+        item.className = 'saved-game' + (game.id === savedGames.activeId ? ' active' : '');
+
+        const open = document.createElement('button');
+        open.className = 'saved-game-open';
+        open.title = game.id === savedGames.activeId ? 'Current game' : 'Resume this game';
+        open.textContent = `${game.state.label} · ${filled}/${cells.length} · ${formatClock(game.elapsedMs)}`;
+        open.addEventListener('click', () => switchGame(game.id));
+
+        const del = document.createElement('button');
+        del.className = 'saved-game-delete';
+        del.title = 'Delete this saved game';
+        del.setAttribute('aria-label', 'Delete saved game');
+        del.textContent = '✕';
+        del.addEventListener('click', () => deleteGame(game.id));
+
+        item.appendChild(open);
+        item.appendChild(del);
+        savedGamesList.appendChild(item);
+    }
+}
+
+// Whole-second game time, e.g. "4:07" or "1:02:33"
+function formatClock(ms) {
+    const total = Math.floor(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Restore preferences and the last active game
+function restoreSession() {
+    const prefs = loadJSON(PREFS_KEY, {});
+    if (COLOR_PALETTES[prefs.palette]) activePalette = prefs.palette;
+    if (HEATMAP_MODES[prefs.heatmap]) setHeatmapMode(prefs.heatmap);
+    if (prefs.difficulty) {
+        activeDifficulty = prefs.difficulty;
+        document.querySelectorAll('.difficulty-btn[data-difficulty]').forEach(b =>
+            b.classList.toggle('active', b.dataset.difficulty === activeDifficulty));
+    }
+    if (SOLVER_STRATEGIES[prefs.strategy]) activeStrategy = prefs.strategy;
+    setPlayOptions(!!prefs.playMode, !!prefs.instantCheck, prefs.mistakeLimit || 0);
+
+    savedGames = loadJSON(GAMES_KEY, { activeId: null, games: {} });
+    if (!isPlainObject(savedGames.games)) savedGames = { activeId: null, games: {} };
+    // Drop saved games that are corrupt
+    for (const [id, game] of Object.entries(savedGames.games)) {
+        if (!isPlainObject(game) || !isPlainObject(game.state) || !Array.isArray(game.state.board)) {
+            delete savedGames.games[id];
+        }
+    }
+    if (savedGames.games[savedGames.activeId]) {
+        loadGame(savedGames.activeId);
+    } else {
+        savedGames.activeId = null;
+        newGame();
+    }
 }
 
 // ─── Event Listeners ─────────────────────────────────────
 btnSolve.addEventListener('click', () => attemptSolve());
 
-btnClear.addEventListener('click', clearBoard);
+btnClear.addEventListener('click', () => clearBoard());
 
 if (btnGenerate) {
-    btnGenerate.addEventListener('click', generateRandomPuzzle);
+    btnGenerate.addEventListener('click', () => generateRandomPuzzle());
 }
 
+document.getElementById('btn-daily').addEventListener('click', startDailyPuzzle);
+
 if (btnVerify) {
     btnVerify.addEventListener('click', verifyBoard);
 }
 
+btnAnalyze.addEventListener('click', analyzePuzzle);
+
+document.getElementById('analysis-close').addEventListener('click', () => analysisOverlay.classList.add('hidden'));
+analysisOverlay.addEventListener('click', (e) => {
+    if (e.target === analysisOverlay) analysisOverlay.classList.add('hidden');
+});
+
+// ─── Import / Export Modal ───────────────────────────────
+document.getElementById('btn-io').addEventListener('click', openIoModal);
+document.getElementById('io-close').addEventListener('click', closeIoModal);
+
+ioOverlay.addEventListener('click', (e) => {
+    if (e.target === ioOverlay) closeIoModal();
+});
+
+document.getElementById('io-import').addEventListener('click', () => {
+    const error = importText(ioText.value, 'text');
+    if (error) {
+        setIoMessage(`❌ ${error}`, 'error');
+    } else {
+        closeIoModal();
+    }
+});
+
+document.getElementById('io-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+        ioText.value = text;
+        const error = importText(text, file.name);
+        if (error) {
+            setIoMessage(`❌ ${file.name}: ${error}`, 'error');
+        } else {
+            closeIoModal();
+        }
+    }).catch(err => setIoMessage(`❌ ${file.name}: ${err.message}`, 'error'));
+    e.target.value = ''; // allow re-opening the same file
+});
+
+document.getElementById('io-export-string').addEventListener('click', () =>
+    exportText(boardToString(readPuzzle()), '81-character puzzle'));
+
+document.getElementById('io-export-grid').addEventListener('click', () =>
+    exportText(boardToSdk(readPuzzle()), 'Grid'));
+
+document.getElementById('io-share').addEventListener('click', () =>
+    exportText(shareLink(readPuzzle()), 'Share link'));
+
+document.getElementById('io-download').addEventListener('click', () => {
+    downloadSdk(readPuzzle());
+    setIoMessage('sudoku.sdk downloaded.', 'success');
+});
+
+window.addEventListener('hashchange', importFromHash);
+
+// ─── Print Modal ─────────────────────────────────────────
+document.getElementById('btn-print').addEventListener('click', openPrintModal);
+document.getElementById('print-close').addEventListener('click', closePrintModal);
+document.getElementById('print-go').addEventListener('click', () =>
+    exportSheets('print').catch(err => setPrintMessage(`❌ ${err.message}`, 'error')));
+document.getElementById('print-svg').addEventListener('click', () =>
+    exportSheets('svg').catch(err => setPrintMessage(`❌ ${err.message}`, 'error')));
+
+// Typing a count picks the batch
+document.getElementById('print-count').addEventListener('focus', () => {
+    document.querySelector('input[name="print-source"][value="batch"]').checked = true;
+});
+
+printOverlay.addEventListener('click', (e) => {
+    if (e.target === printOverlay) closePrintModal();
+});
+
+// ─── Photo Import Sources ────────────────────────────────
+// File picker, pasting an image anywhere, or dropping it on the page
+document.getElementById('io-image').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) importImage(file, file.name);
+    e.target.value = '';
+});
+
+document.addEventListener('paste', (e) => {
+    const file = [...(e.clipboardData ? e.clipboardData.files : [])].find(f => f.type.startsWith('image/'));
+    if (!file) return; // ordinary text paste
+    e.preventDefault();
+    importImage(file, 'the pasted image');
+});
+
+document.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.add('drop-target');
+});
+
+document.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) document.body.classList.remove('drop-target');
+});
+
+document.addEventListener('drop', (e) => {
+    document.body.classList.remove('drop-target');
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    importImage(file, file.name);
+});
+
+// ─── Visualization Controls ──────────────────────────────
+if (btnVisualize) {
+    btnVisualize.addEventListener('click', startVisualization);
+
+    vizPlay.addEventListener('click', () => {
+        if (!viz) return;
+        if (viz.playing) {
+            pauseVisualization();
+        } else {
+            playVisualization();
+        }
+    });
+
+    document.getElementById('viz-step').addEventListener('click', () => {
+        if (!viz) return;
+        if (viz.playing) pauseVisualization();
+        stepVisualization();
+    });
+
+    document.getElementById('viz-stop').addEventListener('click', () => {
+        if (viz) stopVisualization();
+    });
+
+    vizSpeed.addEventListener('input', () => {
+        if (viz && viz.playing) scheduleViz();
+    });
+}
+
+// ─── Play Mode Settings ──────────────────────────────────
+if (btnPlayMode) {
+    btnPlayMode.addEventListener('click', () => {
+        setPlayOptions(!playMode, instantCheck, mistakeLimit);
+        updateGameClock();
+        savePrefs();
+    });
+}
+
+if (btnMistakeCheck) {
+    btnMistakeCheck.addEventListener('click', () => {
+        setPlayOptions(playMode, !instantCheck, mistakeLimit);
+        savePrefs();
+    });
+}
+
+if (mistakeLimitSelect) {
+    mistakeLimitSelect.addEventListener('change', () => {
+        setPlayOptions(playMode, instantCheck, parseInt(mistakeLimitSelect.value, 10));
+        savePrefs();
+    });
+}
+
+document.getElementById('result-close').addEventListener('click', () => {
+    resultOverlay.classList.add('hidden');
+});
+
+document.getElementById('result-new').addEventListener('click', () => {
+    resultOverlay.classList.add('hidden');
+    generateRandomPuzzle();
+});
+
+if (btnNewGame) {
+    btnNewGame.addEventListener('click', () => {
+        newGame();
+        setStatus('New game started — your previous game is saved.', 'success');
+    });
+}
+
+// Pause the clock with the tab and save the latest play time
+document.addEventListener('visibilitychange', () => {
+    updateGameClock();
+    saveActiveGame();
+});
+window.addEventListener('pagehide', saveActiveGame);
+
+if (btnUndo) {
+    btnUndo.addEventListener('click', undo);
+}
+
+if (btnRedo) {
+    btnRedo.addEventListener('click', redo);
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) — replaces the cells' native undo.
+// Text fields (seed, import box, ...) keep their own.
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.matches('textarea, input:not(.sudoku-cell)')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// ─── Keyboard Shortcuts ──────────────────────────────────
+const shortcutsOverlay = document.getElementById('shortcuts-overlay');
+
+// Alt+S/G/C press Solve, Generate and Clear (by key position, so they
+// work on any layout); ? opens the list unless a text field has focus
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || document.querySelector('.modal-overlay:not(.hidden)')) return;
+    if (e.altKey) {
+        const button = { KeyS: btnSolve, KeyG: btnGenerate, KeyC: btnClear }[e.code];
+        if (button) {
+            e.preventDefault();
+            button.click();
+        }
+        return;
+    }
+    const typing = e.target.matches('textarea, input:not(.sudoku-cell)');
+    if (e.key === '?' && !typing) {
+        e.preventDefault();
+        shortcutsOverlay.classList.remove('hidden');
+    }
+});
+
+document.getElementById('btn-shortcuts').addEventListener('click', () => shortcutsOverlay.classList.remove('hidden'));
+document.getElementById('shortcuts-close').addEventListener('click', () => shortcutsOverlay.classList.add('hidden'));
+shortcutsOverlay.addEventListener('click', (e) => {
+    if (e.target === shortcutsOverlay) shortcutsOverlay.classList.add('hidden');
+});
+
+// ─── Dialog Focus ────────────────────────────────────────
+// An open dialog keeps Tab inside itself and closes on Escape through
+// its [data-modal-close] button. Opening one moves focus in (to the
+// close button unless its opener focused something else); closing it
+// gives focus back to where it was.
+const FOCUSABLE = 'button:not([disabled]):not([hidden]), input:not([disabled]):not([hidden]), select, textarea, [href]';
+const focusBeforeDialog = new Map();
+
+function openDialog() {
+    return [...document.querySelectorAll('.modal-overlay:not(.hidden)')].pop() || null;
+}
+
+const dialogObserver = new MutationObserver((records) => {
+    for (const { target, oldValue } of records) {
+        const wasHidden = /\bhidden\b/.test(oldValue || '');
+        const hidden = target.classList.contains('hidden');
+        if (wasHidden && !hidden) {
+            focusBeforeDialog.set(target, document.activeElement);
+            if (!target.contains(document.activeElement)) {
+                const close = target.querySelector('[data-modal-close]');
+                if (close) close.focus();
+            }
+        } else if (!wasHidden && hidden) {
+            const previous = focusBeforeDialog.get(target);
+            focusBeforeDialog.delete(target);
+            const focusLost = document.activeElement === document.body || target.contains(document.activeElement);
+            if (previous && previous.isConnected && focusLost) previous.focus();
+        }
+    }
+});
+document.querySelectorAll('.modal-overlay').forEach(overlay =>
+    dialogObserver.observe(overlay, { attributes: true, attributeFilter: ['class'], attributeOldValue: true }));
+
+document.addEventListener('keydown', (e) => {
+    const dialog = openDialog();
+    if (!dialog) return;
+    if (e.key === 'Escape') {
+        const close = dialog.querySelector('[data-modal-close]');
+        if (close) {
+            e.preventDefault();
+            close.click();
+        }
+    } else if (e.key === 'Tab') {
+        const focusable = [...dialog.querySelectorAll(FOCUSABLE)];
+        if (focusable.length === 0) return;
+        const first = focusable[0], last = focusable[focusable.length - 1];
+        if (!dialog.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+});
+
+if (btnHint) {
+    btnHint.addEventListener('click', giveHint);
+}
+
+if (btnNotes) {
+    btnNotes.addEventListener('click', cycleNotesMode);
+}
+
+if (btnCancel) {
+    btnCancel.addEventListener('click', () => {
+        cancelJob();
+        setStatus('Cancelled.', 'warning');
+    });
+}
+
 modalProceed.addEventListener('click', () => {
     modalOverlay.classList.add('hidden');
     highlightErrors([]);
@@ -520,6 +3240,37 @@ modalOverlay.addEventListener('click', (e) => {
     }
 });
 
+// ─── Palette Editor Modal ────────────────────────────────
+paletteNameInput.addEventListener('input', previewPalette);
+paletteMiddleToggle.addEventListener('change', previewPalette);
+paletteAnchorInputs.forEach(input => input.addEventListener('input', previewPalette));
+
+document.getElementById('palette-save').addEventListener('click', saveEditedPalette);
+document.getElementById('palette-delete').addEventListener('click', deleteEditedPalette);
+document.getElementById('palette-export').addEventListener('click', exportEditedPalette);
+document.getElementById('palette-cancel').addEventListener('click', () => closePaletteEditor());
+
+paletteOverlay.addEventListener('click', (e) => {
+    if (e.target === paletteOverlay) closePaletteEditor();
+});
+
+document.getElementById('palette-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+        const error = importPaletteJSON(text);
+        if (error) setPaletteMessage(`❌ ${file.name}: ${error}`, 'error');
+    }).catch(err => setPaletteMessage(`❌ ${file.name}: ${err.message}`, 'error'));
+    e.target.value = '';
+});
+
+// ─── Number Pad Input ────────────────────────────────────
+// Keep focus on the selected cell while a pad button is pressed
+numberPad.addEventListener('mousedown', e => e.preventDefault());
+if (coarsePointer && coarsePointer.addEventListener) {
+    coarsePointer.addEventListener('change', e => setTouchInput(e.matches));
+}
+
 // ─── Palette Toggle (collapsible) ────────────────────────
 const paletteToggle = document.getElementById('palette-toggle');
 const paletteBody = document.getElementById('palette-body');
@@ -538,17 +3289,78 @@ if (paletteToggle && paletteBody) {
     }
 }
 
+// ─── Variant Buttons ─────────────────────────────────────
+// Applies to the current game right away and to the next Generate
+document.querySelectorAll('.difficulty-btn[data-variant]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        if (btn.dataset.variant === activeVariant) return;
+        setVariant(btn.dataset.variant, []);
+        highlightErrors(validateBoard(readBoard(), constraints));
+        applyHeatmapColors();
+        commitHistory();
+        setStatus(VARIANTS[activeVariant].cages
+            ? '🧩 Killer selected — generate a puzzle to get cages.'
+            : `🧩 ${VARIANTS[activeVariant].name} rules on.`, '');
+    });
+});
+
+// ─── Heatmap Mode Buttons ────────────────────────────────
+document.querySelectorAll('.difficulty-btn[data-heatmap]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        setHeatmapMode(btn.dataset.heatmap);
+        savePrefs();
+    });
+});
+
+// ─── Grid Size Buttons ───────────────────────────────────
+// A new size starts an empty board (one undo step)
+document.querySelectorAll('.difficulty-btn[data-size]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const size = Number(btn.dataset.size);
+        if (size === boardSize) return;
+        setBoardSize(size);
+        clearBoard();
+        setStatus(size > 9
+            ? `🔢 ${size}x${size} grid — type A-${digitSymbol(size)} for 10-${size}.`
+            : `🔢 ${size}x${size} grid.`, '');
+    });
+});
+
 // ─── Difficulty Buttons ──────────────────────────────────
-document.querySelectorAll('.difficulty-btn').forEach(btn => {
+document.querySelectorAll('.difficulty-btn[data-difficulty]').forEach(btn => {
     btn.addEventListener('click', () => {
         activeDifficulty = btn.dataset.difficulty;
-        document.querySelectorAll('.difficulty-btn').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.difficulty-btn[data-difficulty]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
+        savePrefs();
     });
 });
 
+// ─── Solver Strategy & Benchmark ─────────────────────────
+if (strategySelect) {
+    strategySelect.addEventListener('change', () => {
+        activeStrategy = strategySelect.value;
+        savePrefs();
+    });
+
+    document.getElementById('btn-benchmark').addEventListener('click', openBenchmark);
+    document.getElementById('bench-board').addEventListener('click', () => runBenchmark('board'));
+    document.getElementById('bench-hard').addEventListener('click', () => runBenchmark('hard'));
+    document.getElementById('bench-close').addEventListener('click', closeBenchmark);
+
+    benchOverlay.addEventListener('click', (e) => {
+        if (e.target === benchOverlay) closeBenchmark();
+    });
+}
+
 // ─── Init ────────────────────────────────────────────────
 buildBoard();
+setTouchInput(touchInput);
+loadCustomPalettes();
+restoreSession();
+importFromHash();
 buildPalettePicker();
+buildStrategyPicker();
 buildLegend();
+renderDailyRecord();
 applyHeatmapColors();
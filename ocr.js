@@ -0,0 +1,441 @@
+/* ========================================================
+   Sudoku Solver — Photo Import  |  ocr.js
+   Reads a 9x9 Sudoku from a photo or screenshot, fully
+   client-side:
+     1. grayscale + adaptive threshold (ink = darker than
+        its surroundings, so uneven lighting is fine)
+     2. the largest connected blob of ink is the grid; its
+        four outer corners give a perspective transform
+     3. the grid is warped to a square and cut into cells
+     4. each cell's digit is matched against bundled digit
+        templates (nearest neighbour)
+   Works on plain pixel data ({ width, height, data } RGBA,
+   as in ImageData), so it runs in worker.js too.
+   ======================================================== */
+
+/** Side of one cell in the straightened grid, in pixels. */
+const OCR_CELL_PX = 36;
+
+/** Digits are compared as FEATURE_SIZE x FEATURE_SIZE ink maps. */
+const FEATURE_SIZE = 12;
+
+/** Readings below this confidence are flagged for the player to check. */
+const LOW_CONFIDENCE = 0.25;
+
+/**
+ * Digit templates: "<digit>:<144 hex nibbles>", one FEATURE_SIZE²
+ * ink map per entry (0 = no ink, f = solid). Rendered from sans,
+ * serif and monospace typefaces in regular and bold weights, then run
+ * through digitFeatures() like any scanned digit.
+ */
+const DIGIT_TEMPLATES = [
+  '1:000017de60000004cfff7000000ceaaf70000007518f70000000008f70000000008f70000000008f70000000008f70000000008f70000000008f70000000008f70000000008f7000',
+  '1:00015ee10000002aefe20000005a6ee2000000112ee2000000002ee2000000002ee2000000002ee1000000002ee1000000002ee1000000002ee1000000135ef53000003cffffd300',
+  '1:0014cff90000018dfffa100003d8affa100000109ffa100000009ffa100000009ffa100000009ffa100000009ffb100000009ffb100000009ffb10000023bffc430001aeffffec10',
+  '1:005cffe1000001aeefe2000000122ee2000000001ee2000000001ee2000000001ee2000000001ee2000000001ee2000000001ee2000000001ee20000004aaffba300007fffffe600',
+  '1:008effb0000001cedfb0000000113fb0000000003fb0000000003fb0000000003fb0000000003fb0000000003fb0000000003fb0000000003fb00000007abfeaa40001bffffff700',
+  '1:018effe3000001cfffe4000001679fe4000000006fe4000000006fe4000000006fe3000000006fe3000000006fe4000000006fe4000000128fe5210002eeeffeea1002effffffa10',
+  '1:05cefff4000009fffff5000008dbeff500000112dff500000002dff500000002dff500000002dff500000002dff600000002dff600000589effb871009ffffffff2009fffffffe10',
+  '2:00038eea4000003ceaaed500008f6007fa1001cc2005eb1000440006fa000000002de400000001af700000002bf910000001af810000001af910000001afe877750002fffffffa10',
+  '2:004aefec600001ce846ee50001da0007fb1000520005fc1000000006f9000000001be3000000008f6000000009f7100000018e6112000009e5005d1001afdaaabf2001effffffe10',
+  '2:007dfffc500001cedacfe40000530009fa1000000005eb1000000007fa000000003de300000003be700000004de710000004ce710000003de710000001bfeaaaa70001effffffc10',
+  '2:008dffea300001cecbdfb2000052002cf50000000009f7000000001ce5000000006fb000000004ed300000004fd400000004de500000003ee500000001dfdaaaa50001effffff800',
+  '2:019effea300002ffeeffc30001b8439ff7000010003ff9000000006ff700000003cfc20000001cfe40000001bff50000001bfe60000001bff722200002fffeeee90002fffffff900',
+  '2:038efffb61000affffffe6000bfc7aeffd100751017fff200000007ffe10000002cff70000002cffa1000006dff91000017ffe71000009fffc8888100bffffffff200affffffff20',
+  '2:04beefed720007fb55cffa1007d3005fff500140003fff800000003fff600000006ffc10000005efb20000017fe61000002bea40196004dfe8888e800affffffff8009ffffffff80',
+  '3:00038efb5000001cfb9ee500008f7006fa00008a2004fb000000002af500000008efa000000007cee50000210004fb1003e90002ed1001ce3004eb10007eeaaee5000016bfea4100',
+  '3:0049effc500001ce946ee50001d91007f80000330019f700000048be910000006bcf910000000029f90000000003ee1001520003ef2004f60005ed1003ed746de700006cfffc6100',
+  '3:006dfffb3000009ecadfc2000011001bf60000000009f7000000015de4000002ceff7000000179dfb20000000008f80000000006ea1000210019fa1002edbacfd50001aefffb5000',
+  '3:006dfffb400001afffffd400008c99cff8000011003ff910000168bfe5000002cfff81000002ceffc3000000005efb100011002cfd1002da99affb1002ffffffe500019efffc6100',
+  '3:006dfffc610001aecacee60000110008fc1000000004eb100000013bf8000002ceffc100000179bfe60000000004ed1000000002df2000110005ee1001ddbacee700019efffc6100',
+  '3:019deffd830002fffffffc1001ca99cfff600010004fff60000488cffc100008ffffe4000007eefffd200000016eff700231001cff800aec98cfff7009fffffffc20028dffec7200',
+  '3:04befffd710009fa47dff91008c1009ffe300110008ffe30000014cff9000003dfffc200000136cffa200000002fff800430001effa02ca1002fff802cf845bffc2006cffffd8200',
+  '4:0000008fc200000003efd20000002ceed20000008f9dd2000005fb2dd200002ce31dd20001ae501dd20006fe999ee94009eeeeeffe700133334ee5200000001de3000000001dc300',
+  '4:000002bfa000000007ffb00000004ecfb0000001ad6fb0000006e53fb000003db13fc000008d403fc00003ec667fd51005fffffffe200155558fd5000000004fc0000000003fb000',
+  '4:000002cf5000000009ff500000004eff50000002c9cf50000008d2bf5000005d60bf500001ca10bf500009f966df953009ddddefed70000000bf5000000024cf831000007fffee50',
+  '4:000004df800000001bff800000007eef80000003da9f8000000ae28f8000006e708f800002db108f800009f966afa5100afffffffe30035555afa5100000008f80000000007f8000',
+  '4:000004dfb00000001cffc00000008fffc0000003eeefc000001bf9bfc000007fd2afc00003de51afc00006feccefec1006ffffffff20025666cfd500000001afc000000001afb000',
+  '4:000009ffd10000005effd1000002cfffd1000009eaffd100004ea6ffd10001bc25ffd10006f605ffd1003de659ffe6414cdddefffca2000006ffd100000138ffe4200002dffffe90',
+  '4:00000aeed40000007fffe5000003efffe500001cfdefe500007fe4dfe50004ee72dfe5001bf912dfe5005efcccfffd914effffffffc239aaabeffc71001113dff500000002cfd500',
+  '5:005efffff700007fa7777300008e4000000000ad5663100001beeffea20001cf923bf80001871004ec1000210001df1002d91003ed1001dd3008fa00007ee9bec3000016bfd83000',
+  '5:006fffffc000007fbaaa8000007f50000000007f62200000007fedc92000006dbbdfd1000013003df70000000006fa1000000006ea100010002bf70002edcbdfb20001aeffe92000',
+  '5:008fffffc200009eaaaa8000009800000000009a56531000009ffded70000058112cf60000000006eb1000000005ec1001510005eb1002f50008f90002fd747fd300006cfffb4000',
+  '5:008fffffd300008fbaaa8200008e40000000008e52200000008fddc93000007dbbdfd4000012002af91000000003dd1000000004dd1000100019fa1002ecbadfc40001aeffea3000',
+  '5:009fffffe40001affeeed40001afb222200001afb220000001affdc9200001afefffd3000046449ff8000000001cfb100010001cfb1001b7338ff90002ffeeffc300019effeb4000',
+  '5:03eeeeeff90003fffffffa1003ffb888850003ffa443100003fffffea20003ffeffffc1002b745afff400000001eff800221003fff700bda78cfff300bffffffe810038efffc6100',
+  '5:03eefffff50003fffffff50003f98888830003e22221000003facdc9400003e947efe6000130009ffd100000004fff400430004fff400ba1006ffe100bf847dfe60006deefea4000',
+  '6:00017de94000001aea9ec300007f7008f70001bc2322960002edbeec500002efc77de30002fc2006f90002eb1002ec1002eb1003eb1001be4018f700004ee9aeb2000004bfc83000',
+  '6:00028efec200001bffeee500009fe625940001cfb554200002ffefffa20003fffcbff91003ffe21cfd1002ffb008fe1001dfb009fe10009fe54dfb10003dfeefe5000004cffd5100',
+  '6:00028effc300002bfdabd500008f8100100002ed3221000004ed9ccb500007ffebbfe60007fe7018fb1006fc1001cf2002ec1002cf2001de5007fc10005eebbee6000005cffc5000',
+  '6:00029efea200001bfdbbc400008fb101100001be4121000002ed7cdb600002fffcbee50002ff8118f91002fe4003dd1001ce4003dd10009f8007fa10003dfbbee5000004bffd6000',
+  '6:00039efea400005dfffffd1002dffc89ce1008ffc54543001cffdfffd5002dffffffff402dffe55dff902cffa008ffb00affa10affb006fff98fff60019efffffa100016dffe8100',
+  '6:00039effd300003cd649f70001ad3000630002ec3543100005eeedee910009fe711af70009fd1005ed1008fc0001cf2004ec0002df2002cd3006fb10006ed55dd4000016dffb4000',
+  '6:0004aeeeea10006ef945cf3003efa1004d2008ff845532001bffeedfd7002cffe22eff402cffb00bff902cff900affb009ff900affb006ffb10cff70018ee67ffc100016defe8200',
+  '7:01effffffb10018aaaadf9000000000ce4000000003ed1000000008f7000000002ce3000000005fb100000000cf5000000002ed1000000008f8000000002ce3000000003fb100000',
+  '7:01effffffc10019aaaadfa000000001de4000000004fc1000000009f7000000003de3000000006fa100000000df6000000005fd1000000019f8000000002de4000000004fb100000',
+  '7:01effffffc1001deeeeffc100012227ff900000000afe500000003efc000000007ff600000000dfe300000005ff9000000009fe300000002dfb000000006ff600000000bfd200000',
+  '7:03fffffffd1003fbaaabea1002e20006e6000020001bc1000000002e8000000000ad2000000003d91000000007e4000000000dc0000000005e5000000001ac2000000003e8000000',
+  '7:06ffffffff3003aaa99bfd1000000009f8000000003ed300000000af6000000004ec1000000019e5000000005fc000000001bf4000000006eb100000002de4000000006ea1000000',
+  '7:0affffffff300affffffff300ac9998aff200a900007f9000430001de3000000006f9000000002ce3000000007f9000000001de2000000007f9000000002dd3000000005f9000000',
+  '7:0affffffff900bffffffff800588889fff600000007ffc10000002cff700000006ffd20000000cff900000005ffe30000001bffa10000005efe30000000affa00000003efd400000',
+  '8:0004afd93000005ee9aed30001bf5008f60001bf4007f700007f923ce400000cfffe8000007fb67ed20002fc1007f90002fb0003eb1002ec2007f800019fc8aed2000017cfc93000',
+  '8:0016cfec5000006eeacee50001af8017f91001ae6006e910007fb23ce500001afeff8000004deaafc40001de4006fa1002fc1003de1002ee5007fb10007fecbee7000016dffc6100',
+  '8:0017dffd5000016efeefe50001afc35ef90001afa11cf900007ff9bfe500002bffff9100018ffabfe60002df801afc1002fe6018ff1002efb34dfc10018ffeefe7000017effd6100',
+  '8:0019deeb5000019ea46ee40002ed1007f90002ed1007f90001af914de300002dfeef700001ae945de40005fc0006fc1009f90004ef2005fc0005ec1002cfa45de600002beffc6100',
+  '8:0029dfeb500001afeacee50002ed3008f90002ec1006fa0001ce714ce500003dfeff7000019ee9bfd40005fb1006fb1008f70002df2005fc2007fc1001cfeabee600002aeffc6100',
+  '8:005bfeefa40005efe46ffd200affb01eff400affb01fff4004efd25ffc10007efeefe40006efc45ffd202dff600bffa03dff600bffb13dff600bffb007ffc45efe30016cfeefa400',
+  '8:005bfffe930005effffffd2009ffd89fff4009ff901dff4004ffe99ffd20007fffffe40004dffeeffa101cff913dff803dff600affb01cffd88eff8006effffffe30005bffff9400',
+  '9:0004afc82000005ee9aea10001dd4018f60002fb1003e80002eb1002eb1002dd3008fc10007fd8aefb100006cdb8e90001961117f60002dd301bd300007ec8be70000016cfa70000',
+  '9:0017dfea3000007efeffc20001dfc37ff70002ff601ffa1002ff501efc1002ff903ffe1001cfebdffd10004dfffffb100002554df9000068338ff500008feeffa000005dffe61000',
+  '9:0017dffa3000007eeacfc20001de501af60002fc1005fa0002fc0005fa1001de501bfc10007febcffc100007cdbafa1000001217f9000001002de500004dbbefa000003cffe71000',
+  '9:0018efe9200001afa48eb20004fc0009f70009f80005fb100af70005fe1006fa0006ff2002ee401dfe10004dfcedfb1000025547f90001730009e40001ed648e8000019effd61000',
+  '9:0028efe8200001afeadfa00005fc201bf5000af70005fa000af70006fc1005fd302bfe1001bfdbcffe100028cdbbfb1000002217f9000011004de300019dbcee7000006effc51000',
+  '9:0039efea400002dfffffd4000affd8cffc202dff602fff402dff501eff801cffa48fffa008ffffffff90019effeeff700134556efe3006eb89eff91005ffffffb300017deec72000',
+  '9:0049efeb400004dfd58fe6001bff801ffd202dff601eff502dff601effa01cff701effa008ffb14fffa0019efcdeff700023553cff3006c2001efb1008fb45bfc30004beefe83000',
+];
+
+/* ========================================================
+   Image helpers
+   ======================================================== */
+
+/**
+ * Luminance (0-255) of every pixel of an RGBA image.
+ */
+function toGrayscale(image) {
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Mark ink pixels: those at least `offset` darker than the mean of the
+ * (2·radius+1)² window around them. Uses an integral image, so the
+ * window size does not affect speed.
+ *
+ * Returns a Uint8Array with 1 for ink.
+ */
+function adaptiveThreshold(gray, width, height, radius, offset = 10) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1]
+        - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      if (gray[y * width + x] < mean - offset) mask[y * width + x] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Label the 8-connected blobs of ink in a mask.
+ *
+ * Returns { labels, blobs } where labels[i] is the blob id of pixel i
+ * (0 = background) and blobs[id - 1] = { id, count, minX, minY, maxX, maxY }.
+ */
+function labelComponents(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const blobs = [];
+  const stack = new Int32Array(width * height);
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    const blob = { id: blobs.length + 1, count: 0, minX: width, minY: height, maxX: -1, maxY: -1 };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = blob.id;
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width, y = (i - x) / width;
+      blob.count++;
+      if (x < blob.minX) blob.minX = x;
+      if (x > blob.maxX) blob.maxX = x;
+      if (y < blob.minY) blob.minY = y;
+      if (y > blob.maxY) blob.maxY = y;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const j = ny * width + nx;
+          if (mask[j] && !labels[j]) {
+            labels[j] = blob.id;
+            stack[top++] = j;
+          }
+        }
+      }
+    }
+    blobs.push(blob);
+  }
+  return { labels, blobs };
+}
+
+/* ========================================================
+   Grid detection
+   ======================================================== */
+
+/**
+ * Find the outer corners of the grid: the blob of ink with the largest
+ * bounding box, then its extreme pixels along both diagonals.
+ *
+ * Returns [topLeft, topRight, bottomRight, bottomLeft] as [x, y], or
+ * null if nothing grid-like is found.
+ */
+function findGridCorners(mask, width, height) {
+  const { labels, blobs } = labelComponents(mask, width, height);
+  const area = b => (b.maxX - b.minX + 1) * (b.maxY - b.minY + 1);
+  const grid = blobs.reduce((best, b) => (!best || area(b) > area(best) ? b : best), null);
+  if (!grid) return null;
+
+  // The grid must fill a fair part of the picture and be roughly square
+  const w = grid.maxX - grid.minX + 1, h = grid.maxY - grid.minY + 1;
+  if (Math.min(w, h) < Math.min(width, height) * 0.25 || w / h > 2 || h / w > 2) return null;
+
+  let tl, tr, br, bl;
+  let minSum = Infinity, maxSum = -Infinity, minDiff = Infinity, maxDiff = -Infinity;
+  for (let y = grid.minY; y <= grid.maxY; y++) {
+    for (let x = grid.minX; x <= grid.maxX; x++) {
+      if (labels[y * width + x] !== grid.id) continue;
+      if (x + y < minSum) { minSum = x + y; tl = [x, y]; }
+      if (x + y > maxSum) { maxSum = x + y; br = [x, y]; }
+      if (x - y > maxDiff) { maxDiff = x - y; tr = [x, y]; }
+      if (x - y < minDiff) { minDiff = x - y; bl = [x, y]; }
+    }
+  }
+  return [tl, tr, br, bl];
+}
+
+/**
+ * Solve the linear system A·x = b (A is n x n) by Gaussian elimination
+ * with partial pivoting. Returns null for a singular system.
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[r][k] -= f * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Perspective transform taking the square [0, side]² onto the four
+ * `corners` (clockwise from top left).
+ *
+ * Returns a function (u, v) → [x, y].
+ */
+function perspectiveMap(corners, side) {
+  const square = [[0, 0], [side, 0], [side, side], [0, side]];
+  const A = [], b = [];
+  square.forEach(([u, v], i) => {
+    const [x, y] = corners[i];
+    A.push([u, v, 1, 0, 0, 0, -u * x, -v * x]); b.push(x);
+    A.push([0, 0, 0, u, v, 1, -u * y, -v * y]); b.push(y);
+  });
+  const h = solveLinearSystem(A, b);
+  if (!h) return null;
+  return (u, v) => {
+    const w = h[6] * u + h[7] * v + 1;
+    return [(h[0] * u + h[1] * v + h[2]) / w, (h[3] * u + h[4] * v + h[5]) / w];
+  };
+}
+
+/**
+ * Resample the grid into a straight square image of `side` pixels
+ * (bilinear interpolation of the grayscale image).
+ */
+function warpGrid(gray, width, height, corners, side) {
+  const map = perspectiveMap(corners, side);
+  if (!map) return null;
+  const out = new Float32Array(side * side);
+  for (let v = 0; v < side; v++) {
+    for (let u = 0; u < side; u++) {
+      const [x, y] = map(u + 0.5, v + 0.5);
+      const x0 = Math.min(width - 2, Math.max(0, Math.floor(x - 0.5)));
+      const y0 = Math.min(height - 2, Math.max(0, Math.floor(y - 0.5)));
+      const fx = Math.min(1, Math.max(0, x - 0.5 - x0));
+      const fy = Math.min(1, Math.max(0, y - 0.5 - y0));
+      const i = y0 * width + x0;
+      out[v * side + u] =
+        gray[i] * (1 - fx) * (1 - fy) + gray[i + 1] * fx * (1 - fy) +
+        gray[i + width] * (1 - fx) * fy + gray[i + width + 1] * fx * fy;
+    }
+  }
+  return out;
+}
+
+/* ========================================================
+   Digit recognition
+   ======================================================== */
+
+/**
+ * Ink map of one blob, scaled (keeping its aspect ratio) and centered
+ * into FEATURE_SIZE² values, normalized to unit length so stroke
+ * weight matters less than shape.
+ */
+function digitFeatures(labels, width, blob) {
+  const w = blob.maxX - blob.minX + 1, h = blob.maxY - blob.minY + 1;
+  const extent = Math.max(w, h);
+  const offX = Math.floor((extent - w) / 2), offY = Math.floor((extent - h) / 2);
+
+  // The blob alone, centered in an extent x extent square
+  const ink = new Uint8Array(extent * extent);
+  for (let y = blob.minY; y <= blob.maxY; y++) {
+    for (let x = blob.minX; x <= blob.maxX; x++) {
+      if (labels[y * width + x] === blob.id) ink[(y - blob.minY + offY) * extent + x - blob.minX + offX] = 1;
+    }
+  }
+
+  // Each feature is the ink coverage of its share of the square, with
+  // partly covered pixels counted by their overlap (no aliasing)
+  const step = extent / FEATURE_SIZE;
+  const overlap = (p, lo, hi) => Math.min(p + 1, hi) - Math.max(p, lo);
+  const features = new Float32Array(FEATURE_SIZE * FEATURE_SIZE);
+  for (let fy = 0; fy < FEATURE_SIZE; fy++) {
+    const y0 = fy * step, y1 = y0 + step;
+    for (let fx = 0; fx < FEATURE_SIZE; fx++) {
+      const x0 = fx * step, x1 = x0 + step;
+      let sum = 0;
+      for (let y = Math.floor(y0); y < Math.ceil(y1); y++) {
+        const wy = overlap(y, y0, y1);
+        for (let x = Math.floor(x0); x < Math.ceil(x1); x++) {
+          if (ink[y * extent + x]) sum += wy * overlap(x, x0, x1);
+        }
+      }
+      features[fy * FEATURE_SIZE + fx] = sum / (step * step);
+    }
+  }
+  return normalizeFeatures(features);
+}
+
+function normalizeFeatures(features) {
+  let norm = 0;
+  for (const f of features) norm += f * f;
+  norm = Math.sqrt(norm) || 1;
+  return features.map(f => f / norm);
+}
+
+let templateCache = null;
+
+/** DIGIT_TEMPLATES decoded to { digit, features }, built on first use. */
+function digitTemplates() {
+  if (!templateCache) {
+    templateCache = DIGIT_TEMPLATES.map((entry) => {
+      const [digit, hex] = entry.split(':');
+      const features = Float32Array.from(hex, ch => parseInt(ch, 16));
+      return { digit: Number(digit), features: normalizeFeatures(features) };
+    });
+  }
+  return templateCache;
+}
+
+/**
+ * Match a digit's features against the templates.
+ * Confidence compares the best match with the best match for any other
+ * digit: 0 = a tie, 1 = no other digit comes close.
+ *
+ * Returns { digit, confidence }.
+ */
+function classifyDigit(features) {
+  const best = {};
+  for (const t of digitTemplates()) {
+    let d = 0;
+    for (let i = 0; i < features.length; i++) d += (features[i] - t.features[i]) ** 2;
+    if (!(t.digit in best) || d < best[t.digit]) best[t.digit] = d;
+  }
+  const ranked = Object.entries(best).sort((a, b) => a[1] - b[1]);
+  const [digit, d1] = ranked[0];
+  const d2 = ranked[1][1];
+  return { digit: Number(digit), confidence: d2 > 0 ? 1 - Math.sqrt(d1 / d2) : 0 };
+}
+
+/**
+ * Read one cell of the thresholded, straightened grid. The cell border
+ * is trimmed off so grid lines are not mistaken for ink; the digit is
+ * the largest remaining blob that is tall enough and near the middle.
+ *
+ * Returns { value, confidence } (value 0 = empty).
+ */
+function readCell(mask, side, row, col) {
+  const margin = Math.round(OCR_CELL_PX * 0.12);
+  const inner = OCR_CELL_PX - 2 * margin;
+  const crop = new Uint8Array(inner * inner);
+  for (let y = 0; y < inner; y++) {
+    for (let x = 0; x < inner; x++) {
+      crop[y * inner + x] = mask[(row * OCR_CELL_PX + margin + y) * side + col * OCR_CELL_PX + margin + x];
+    }
+  }
+
+  const { labels, blobs } = labelComponents(crop, inner, inner);
+  const candidates = blobs.filter((b) => {
+    const w = b.maxX - b.minX + 1, h = b.maxY - b.minY + 1;
+    const cx = (b.minX + b.maxX) / 2, cy = (b.minY + b.maxY) / 2;
+    return h >= OCR_CELL_PX * 0.3 && h < inner && w < inner * 0.9 &&
+      Math.abs(cx - inner / 2) < inner * 0.3 && Math.abs(cy - inner / 2) < inner * 0.3;
+  });
+  if (candidates.length === 0) return { value: 0, confidence: 1 };
+
+  const digit = candidates.reduce((a, b) => (b.count > a.count ? b : a));
+  const { digit: value, confidence } = classifyDigit(digitFeatures(labels, inner, digit));
+  return { value, confidence };
+}
+
+/**
+ * Recognize a 9x9 Sudoku in an RGBA image ({ width, height, data }).
+ * Throws an Error if no grid can be found.
+ *
+ * Returns {
+ *   board,        — 9x9 digits, 0 for empty cells
+ *   confidence,   — 9x9 values in 0..1 (1 for empty cells)
+ *   uncertain,    — [{ row, col }] of readings below LOW_CONFIDENCE
+ * }
+ */
+function recognizeSudoku(image) {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const radius = Math.max(4, Math.round(Math.min(width, height) / 40));
+  const corners = findGridCorners(adaptiveThreshold(gray, width, height, radius), width, height);
+  if (!corners) throw new Error('No Sudoku grid found in the image.');
+
+  const side = OCR_CELL_PX * 9;
+  const straight = warpGrid(gray, width, height, corners, side);
+  if (!straight) throw new Error('The grid in the image is too distorted to read.');
+  const mask = adaptiveThreshold(straight, side, side, Math.round(OCR_CELL_PX / 2), 12);
+
+  const board = [], confidence = [], uncertain = [];
+  for (let r = 0; r < 9; r++) {
+    board.push([]);
+    confidence.push([]);
+    for (let c = 0; c < 9; c++) {
+      const cell = readCell(mask, side, r, c);
+      board[r].push(cell.value);
+      confidence[r].push(cell.confidence);
+      if (cell.confidence < LOW_CONFIDENCE) uncertain.push({ row: r, col: c });
+    }
+  }
+  return { board, confidence, uncertain };
+}
@@ -0,0 +1,23 @@
+// Browser tests for the UI flows in main.js — run with `npm run test:e2e`
+// (first time: `npx playwright install chromium`).
+const { defineConfig, devices } = require('@playwright/test');
+
+const PORT = 4173;
+
+module.exports = defineConfig({
+  testDir: 'e2e',
+  timeout: 60_000,
+  retries: process.env.CI ? 1 : 0,
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    trace: 'retain-on-failure',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+  webServer: {
+    command: `node e2e/server.js ${PORT}`,
+    url: `http://localhost:${PORT}`,
+    reuseExistingServer: !process.env.CI,
+  },
+});
@@ -0,0 +1,400 @@
+/* ========================================================
+   Sudoku Solver — Logic Tests  |  test/logic.test.js
+   Property-based tests for validation, solving and
+   generation. Solved grids are built by fast-check from the
+   standard pattern grid and the symmetries that keep a
+   Sudoku valid, so every failure shrinks to a small case.
+   Run with `npm test`.
+   ======================================================== */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const fc = require('fast-check');
+
+const {
+  MAX_BACKTRACKS, MAX_TIME_MS,
+  createEmptyBoard, cloneBoard, isValidPlacement, validateBoard,
+  isBoardComplete, isBoardSolved, solveBoardWithStats, countSolutions, generatePuzzle,
+  createRng, generateGradedPuzzle, analyzeBoard, conflictCounts, placementOrder, boardToSvg,
+  parsePuzzles, boardToString, SOLVER_STRATEGIES,
+} = require('../logic.js');
+
+/* ========================================================
+   Arbitraries
+   ======================================================== */
+
+const permutation = items => fc.shuffledSubarray(items, { minLength: items.length, maxLength: items.length });
+
+/**
+ * A solved 9x9 grid: the pattern grid with its digits relabelled, bands,
+ * stacks and the rows/columns inside them shuffled, optionally transposed.
+ */
+const solvedBoard = fc.record({
+  digits: permutation([1, 2, 3, 4, 5, 6, 7, 8, 9]),
+  bands: permutation([0, 1, 2]),
+  stacks: permutation([0, 1, 2]),
+  rows: fc.tuple(permutation([0, 1, 2]), permutation([0, 1, 2]), permutation([0, 1, 2])),
+  cols: fc.tuple(permutation([0, 1, 2]), permutation([0, 1, 2]), permutation([0, 1, 2])),
+  transpose: fc.boolean(),
+}).map(({ digits, bands, stacks, rows, cols, transpose }) => {
+  const pattern = (r, c) => (3 * (r % 3) + Math.floor(r / 3) + c) % 9;
+  const board = createEmptyBoard();
+  for (let r = 0; r < 9; r++) {
+    for (let c = 0; c < 9; c++) {
+      const br = Math.floor(r / 3), bc = Math.floor(c / 3);
+      const value = digits[pattern(bands[br] * 3 + rows[br][r % 3], stacks[bc] * 3 + cols[bc][c % 3])];
+      if (transpose) board[c][r] = value;
+      else board[r][c] = value;
+    }
+  }
+  return board;
+});
+
+const cellIndex = fc.integer({ min: 0, max: 80 });
+
+/** { solution, puzzle } — a solved grid with up to `maxBlanks` cells emptied. */
+const puzzleFrom = (maxBlanks = 50) => fc.record({
+  solution: solvedBoard,
+  blanks: fc.uniqueArray(cellIndex, { maxLength: maxBlanks }),
+}).map(({ solution, blanks }) => {
+  const puzzle = cloneBoard(solution);
+  for (const i of blanks) puzzle[Math.floor(i / 9)][i % 9] = 0;
+  return { solution, puzzle };
+});
+
+/** A fresh copy of logic.js whose solve timer reads from `performance`. */
+function loadLogicWithClock(performance) {
+  const context = vm.createContext({ module: { exports: {} }, performance });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'logic.js'), 'utf8'), context);
+  return context.module.exports;
+}
+
+/** No solution, but nothing fails until the last row: cell r9c9 has no candidates. */
+function deadEndBoard() {
+  const board = createEmptyBoard();
+  for (let c = 0; c < 8; c++) board[8][c] = c + 1;
+  board[0][8] = 9;
+  return board;
+}
+
+/* ========================================================
+   Validation
+   ======================================================== */
+
+describe('isValidPlacement', () => {
+  it('accepts only the original digit in an emptied cell of a solved grid', () => {
+    fc.assert(fc.property(solvedBoard, cellIndex, (board, i) => {
+      const row = Math.floor(i / 9), col = i % 9;
+      const original = board[row][col];
+      board[row][col] = 0;
+      for (let num = 1; num <= 9; num++) {
+        assert.equal(isValidPlacement(board, row, col, num), num === original);
+      }
+    }));
+  });
+});
+
+describe('validateBoard', () => {
+  it('finds no conflicts in a solved grid', () => {
+    fc.assert(fc.property(solvedBoard, board => validateBoard(board).length === 0));
+  });
+
+  it('reports a cell changed to a digit its peers already hold', () => {
+    fc.assert(fc.property(solvedBoard, cellIndex, fc.integer({ min: 1, max: 8 }), (board, i, shift) => {
+      const row = Math.floor(i / 9), col = i % 9;
+      board[row][col] = ((board[row][col] - 1 + shift) % 9) + 1;
+      const conflicts = validateBoard(board);
+      assert.ok(conflicts.some(p => p.row === row && p.col === col));
+      assert.equal(isBoardSolved(board), false);
+    }));
+  });
+
+  it('reports values outside 1-9', () => {
+    const board = createEmptyBoard();
+    board[4][4] = 10;
+    assert.deepEqual(validateBoard(board), [{ row: 4, col: 4 }]);
+  });
+});
+
+describe('isBoardComplete', () => {
+  it('is true exactly when no cell is empty', () => {
+    fc.assert(fc.property(puzzleFrom(81), ({ puzzle }) => {
+      assert.equal(isBoardComplete(puzzle), puzzle.every(row => row.every(v => v !== 0)));
+    }));
+  });
+});
+
+describe('conflictCounts', () => {
+  it('marks exactly the cells validateBoard reports', () => {
+    fc.assert(fc.property(solvedBoard, cellIndex, fc.integer({ min: 0, max: 8 }), (board, i, shift) => {
+      const row = Math.floor(i / 9), col = i % 9;
+      board[row][col] = ((board[row][col] - 1 + shift) % 9) + 1;
+      const counts = conflictCounts(board);
+      const marked = [];
+      counts.forEach((r, ri) => r.forEach((n, ci) => { if (n > 0) marked.push({ row: ri, col: ci }); }));
+      assert.deepEqual(marked, validateBoard(board));
+    }));
+  });
+
+  it('counts every peer holding the same digit', () => {
+    const board = createEmptyBoard();
+    board[0][0] = 5;
+    board[0][8] = 5;
+    board[8][0] = 5;
+    board[1][1] = 5;
+    assert.equal(conflictCounts(board)[0][0], 3);
+    assert.equal(conflictCounts(board)[8][8], 0);
+  });
+});
+
+/* ========================================================
+   Solving
+   ======================================================== */
+
+describe('solveBoardWithStats', () => {
+  it('solves every puzzle cut from a solved grid, keeping its clues', () => {
+    fc.assert(fc.property(puzzleFrom(), ({ puzzle }) => {
+      const board = cloneBoard(puzzle);
+      const stats = solveBoardWithStats(board);
+      assert.equal(stats.solved, true);
+      assert.equal(isBoardSolved(board), true);
+      puzzle.forEach((row, r) => row.forEach((v, c) => {
+        if (v !== 0) assert.equal(board[r][c], v);
+      }));
+    }), { numRuns: 50 });
+  });
+
+  it('fails fast when an empty cell has no candidates', () => {
+    const board = createEmptyBoard();
+    for (let c = 0; c < 8; c++) board[0][c] = c + 1;
+    board[1][8] = 9;
+    const stats = solveBoardWithStats(board);
+    assert.equal(stats.solved, false);
+    assert.ok(stats.backtracks < 10);
+  });
+
+  it('gives up after MAX_BACKTRACKS', () => {
+    const frozen = loadLogicWithClock({ now: () => 0 });
+    const stats = frozen.solveBoardWithStats(deadEndBoard());
+    assert.equal(stats.solved, false);
+    assert.ok(stats.backtracks >= MAX_BACKTRACKS);
+  });
+
+  it('gives up after MAX_TIME_MS', () => {
+    let ms = 0;
+    const fast = loadLogicWithClock({ now: () => (ms += 1) }); // every reading costs a millisecond
+    const stats = fast.solveBoardWithStats(deadEndBoard());
+    assert.equal(stats.solved, false);
+    assert.ok(stats.elapsedMs >= MAX_TIME_MS);
+    assert.ok(stats.backtracks < MAX_BACKTRACKS);
+  });
+
+  it('records the order it placed the blanks in', () => {
+    fc.assert(fc.property(solvedBoard, (solution) => {
+      const board = cloneBoard(solution);
+      board[8][8] = board[4][4] = board[0][0] = 0; // one candidate each, so no backtracking
+      const { order } = solveBoardWithStats(board);
+      assert.deepEqual([order[0][0], order[4][4], order[8][8]], [1, 2, 3]);
+      assert.equal(order.flat().filter(n => n > 0).length, 3);
+    }), { numRuns: 20 });
+  });
+});
+
+describe('SOLVER_STRATEGIES', () => {
+  it('each number the blanks 1..n in placement order and leave the clues at 0', () => {
+    fc.assert(fc.property(puzzleFrom(), ({ puzzle }) => {
+      for (const strategy of Object.values(SOLVER_STRATEGIES)) {
+        const { solved, order } = strategy.solve(cloneBoard(puzzle));
+        assert.equal(solved, true);
+        const steps = [];
+        puzzle.forEach((row, r) => row.forEach((v, c) => {
+          if (v !== 0) assert.equal(order[r][c], 0);
+          else steps.push(order[r][c]);
+        }));
+        assert.deepEqual(steps.sort((a, b) => a - b), steps.map((_, i) => i + 1));
+      }
+    }), { numRuns: 30 });
+  });
+});
+
+describe('analyzeBoard', () => {
+  it('finds the solution or two differing ones for any puzzle cut from a solved grid', () => {
+    fc.assert(fc.property(puzzleFrom(81), ({ puzzle, solution }) => {
+      const result = analyzeBoard(puzzle);
+      if (result.verdict === 'unique') {
+        assert.deepEqual(result.solution, solution);
+        return;
+      }
+      assert.equal(result.verdict, 'multiple');
+      const [a, b] = result.solutions;
+      for (const s of [a, b]) {
+        assert.equal(isBoardSolved(s), true);
+        puzzle.forEach((row, r) => row.forEach((v, c) => {
+          if (v !== 0) assert.equal(s[r][c], v);
+        }));
+      }
+      assert.ok(result.differences.length > 0);
+      assert.ok(result.differences.every(({ row, col }) => a[row][col] !== b[row][col]));
+    }), { numRuns: 50 });
+  });
+
+  it('names a cell with no candidates', () => {
+    const board = createEmptyBoard();
+    for (let c = 0; c < 8; c++) board[0][c] = c + 1;
+    board[1][8] = 9;
+    const result = analyzeBoard(board);
+    assert.equal(result.verdict, 'none');
+    assert.equal(result.contradiction.kind, 'cell');
+    assert.deepEqual(result.contradiction.cells, [{ row: 0, col: 8 }]);
+  });
+
+  it('names a digit with no place in a unit', () => {
+    const board = createEmptyBoard();
+    for (let c = 1; c < 8; c++) board[0][c] = c + 1; // row 1 still needs 1 and 9
+    board[3][8] = 1;
+    board[4][0] = 1;
+    const result = analyzeBoard(board);
+    assert.equal(result.verdict, 'none');
+    assert.equal(result.contradiction.kind, 'digit');
+    assert.equal(result.contradiction.value, 1);
+    assert.deepEqual(result.contradiction.unit, { type: 'row', index: 0 });
+  });
+
+  it('reports conflicts before searching', () => {
+    const board = createEmptyBoard();
+    board[0][0] = 5;
+    board[8][0] = 5;
+    assert.equal(analyzeBoard(board).verdict, 'conflict');
+  });
+});
+
+describe('placementOrder', () => {
+  it('numbers the blanks 1..n and leaves the clues at 0', () => {
+    fc.assert(fc.property(puzzleFrom(), ({ puzzle, solution }) => {
+      const order = placementOrder(puzzle, solution);
+      const steps = [];
+      puzzle.forEach((row, r) => row.forEach((v, c) => {
+        if (v !== 0) assert.equal(order[r][c], 0);
+        else steps.push(order[r][c]);
+      }));
+      assert.deepEqual(steps.sort((a, b) => a - b), steps.map((_, i) => i + 1));
+    }), { numRuns: 50 });
+  });
+
+  it('places forced cells first', () => {
+    fc.assert(fc.property(solvedBoard, (solution) => {
+      const puzzle = cloneBoard(solution);
+      for (let r = 0; r < 3; r++) puzzle[r].fill(0); // three candidates per cell
+      puzzle[8][8] = 0;                               // one candidate
+      assert.equal(placementOrder(puzzle, solution)[8][8], 1);
+    }), { numRuns: 20 });
+  });
+});
+
+/* ========================================================
+   Generation
+   ======================================================== */
+
+describe('generatePuzzle', () => {
+  /** Checks every generated puzzle must pass, at any size. */
+  function assertWellFormed({ puzzle, solution, clues }, target) {
+    assert.equal(isBoardSolved(solution), true);
+    assert.equal(validateBoard(puzzle).length, 0);
+    assert.equal(puzzle.flat().filter(v => v !== 0).length, clues);
+    assert.ok(clues >= target);
+    puzzle.forEach((row, r) => row.forEach((v, c) => {
+      if (v !== 0) assert.equal(v, solution[r][c]);
+    }));
+    assert.equal(countSolutions(puzzle), 1);
+
+    const board = cloneBoard(puzzle);
+    assert.equal(solveBoardWithStats(board).solved, true);
+    assert.deepEqual(board, solution);
+  }
+
+  it('makes unique-solution puzzles whose solution is a valid grid', () => {
+    fc.assert(fc.property(fc.integer({ min: 22, max: 60 }), (target) => {
+      assertWellFormed(generatePuzzle(target), target);
+    }), { numRuns: 15 });
+  });
+
+  it('makes the same puzzle from the same seed', () => {
+    fc.assert(fc.property(fc.string({ maxLength: 12 }), fc.integer({ min: 22, max: 40 }), (seed, target) => {
+      const a = generatePuzzle(target, 'classic', 9, createRng(seed));
+      const b = generatePuzzle(target, 'classic', 9, createRng(seed));
+      assert.deepEqual(a.puzzle, b.puzzle);
+      assert.deepEqual(a.solution, b.solution);
+    }), { numRuns: 10 });
+    const killer = () => generateGradedPuzzle('medium', undefined, undefined, 'killer', 9, 'daily-2026-10-19');
+    assert.deepEqual(killer().cages, killer().cages);
+  });
+
+  it('does the same on 4x4 and 6x6 grids', () => {
+    fc.assert(fc.property(fc.constantFrom(4, 6), fc.double({ min: 0.2, max: 0.8, noNaN: true }), (size, share) => {
+      const target = Math.round(size * size * share);
+      assertWellFormed(generatePuzzle(target, 'classic', size), target);
+    }), { numRuns: 20 });
+  });
+});
+
+/* ========================================================
+   Import
+   ======================================================== */
+
+describe('parsePuzzles', () => {
+  it('reads 81 puzzle lines as 81 puzzles, not one 81x81 grid', () => {
+    fc.assert(fc.property(fc.array(puzzleFrom(), { minLength: 81, maxLength: 81 }), (puzzles) => {
+      const text = puzzles.map(({ puzzle }) => boardToString(puzzle)).join('\n');
+      assert.deepEqual(parsePuzzles(text), puzzles.map(({ puzzle }) => puzzle));
+    }), { numRuns: 3 });
+  });
+
+  it('names the broken line of a puzzle list', () => {
+    fc.assert(fc.property(fc.array(puzzleFrom(), { minLength: 3, maxLength: 12 }), fc.nat(), (puzzles, pick) => {
+      const lines = puzzles.map(({ puzzle }) => boardToString(puzzle));
+      const bad = pick % lines.length;
+      lines[bad] = lines[bad].slice(1);
+      const text = ['# puzzles', ...lines].join('\n');
+      assert.throws(() => parsePuzzles(text), { message: new RegExp(`found 80 on line ${bad + 2}\\.$`) });
+    }), { numRuns: 10 });
+  });
+
+  it('reads 16 lines of 16 cells as one 16x16 grid', () => {
+    const board = createEmptyBoard(16);
+    board[0][0] = 16;
+    const boards = parsePuzzles(board.map(row => boardToString([row])).join('\n'));
+    assert.equal(boards.length, 1);
+    assert.deepEqual(boards[0], board);
+  });
+});
+
+/* ========================================================
+   Export
+   ======================================================== */
+
+describe('boardToSvg', () => {
+  it('prints one digit per filled cell, givens in bold', () => {
+    fc.assert(fc.property(puzzleFrom(), ({ puzzle, solution }) => {
+      const givens = puzzle.map(row => row.map(v => v !== 0));
+      const svg = boardToSvg(solution, { givens });
+      const digits = [...svg.matchAll(/font-weight="(\d+)"[^>]*>(\d)</g)];
+      assert.equal(digits.length, 81);
+      assert.equal(digits.filter(([, weight]) => weight === '700').length, puzzle.flat().filter(v => v !== 0).length);
+      assert.equal(puzzle.flat().every(v => v !== 0), !svg.includes('font-weight="400"'));
+    }), { numRuns: 20 });
+  });
+
+  it('escapes the title and outlines cages with their sum', () => {
+    const svg = boardToSvg(createEmptyBoard(), {
+      title: 'Tom & Jerry <3',
+      cages: [{ cells: [[0, 0], [0, 1]], sum: 11 }],
+    });
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.ok(svg.includes('>Tom &amp; Jerry &lt;3</text>'));
+    assert.ok(svg.includes('>11</text>'));
+    assert.equal(svg.match(/stroke-dasharray/g).length, 6); // three open sides per cell
+  });
+});
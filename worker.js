@@ -0,0 +1,90 @@
+/* ========================================================
+   Sudoku Solver — Worker  |  worker.js
+   Runs logic.js off the main thread so long solves and
+   graded generation never freeze the page.
+
+   Protocol:
+     main → worker  { id, type: 'solve' | 'generate' | 'analyze' | 'benchmark' | 'recognize', payload }
+     worker → main  { id, type: 'progress', data }
+                    { id, type: 'done', data }
+                    { id, type: 'error', message }
+   Cancelling is done by terminating the worker from main.js.
+
+   Also loaded on the page itself (after logic.js and ocr.js)
+   so main.js can run SOLVER_JOBS inline where workers are
+   unavailable.
+   ======================================================== */
+
+const SOLVER_JOBS = {
+  /**
+   * Grade and solve a board with one of SOLVER_STRATEGIES.
+   * Variant boards are not graded — the logical solver is classic-only —
+   * and neither are boards with conflicts, which have no valid grade.
+   * `order` is the step at which the strategy placed each cell, for the
+   * solve-order heatmap (null when it didn't solve the board).
+   * payload: { board, strategy, variant, cages }  →  { board, stats, grade, order }
+   */
+  solve({ board, strategy = 'backtracking', variant, cages }, progress) {
+    const constraints = createConstraints(variant, cages);
+    const solver = strategyFor(strategy, constraints);
+    const clone = cloneBoard(board);
+    const grade = constraints || validateBoard(board).length > 0 ? null : gradePuzzle(board);
+    const { order, ...stats } = solver.solve(clone, progress, constraints);
+    return { board: clone, stats: { ...stats, strategy: solver.name }, grade, order };
+  },
+
+  /**
+   * Generate a puzzle whose grade matches the difficulty.
+   * A missing `seed` gets a random one (returned with the result).
+   * payload: { difficulty, variant, size, seed }  →  generateGradedPuzzle() result
+   */
+  generate({ difficulty, variant, size, seed }, progress) {
+    return generateGradedPuzzle(difficulty, undefined, progress, variant, size, seed);
+  },
+
+  /**
+   * Prove whether a board has no, one or several solutions.
+   * Grids above 9x9 get a search budget, as on import.
+   * payload: { board, variant, cages }  →  analyzeBoard() result
+   */
+  analyze({ board, variant, cages }) {
+    const budget = board.length > 9 ? UNIQUENESS_NODE_BUDGET * 100 : Infinity;
+    return analyzeBoard(board, createConstraints(variant, cages), budget);
+  },
+
+  /**
+   * Run every strategy on the same boards.
+   * payload: { boards, variant, cages }  →  benchmarkStrategies() result
+   */
+  benchmark({ boards, variant, cages }, progress) {
+    return benchmarkStrategies(boards, progress, createConstraints(variant, cages));
+  },
+
+  /**
+   * Read a Sudoku from a photo or screenshot (ocr.js).
+   * payload: { image }  (ImageData-like RGBA pixels)  →  recognizeSudoku() result
+   */
+  recognize({ image }) {
+    return recognizeSudoku(image);
+  },
+};
+
+// Only wire up messaging when running as a worker
+if (typeof importScripts === 'function') {
+  importScripts('logic.js', 'ocr.js');
+
+  self.addEventListener('message', (e) => {
+    const { id, type, payload } = e.data;
+    const job = SOLVER_JOBS[type];
+    if (!job) {
+      self.postMessage({ id, type: 'error', message: `Unknown job type: ${type}` });
+      return;
+    }
+    try {
+      const progress = (data) => self.postMessage({ id, type: 'progress', data });
+      self.postMessage({ id, type: 'done', data: job(payload, progress) });
+    } catch (err) {
+      self.postMessage({ id, type: 'error', message: err.message });
+    }
+  });
+}